@@ -1,9 +1,27 @@
-import React from 'react';
-import { StatusBar, View } from 'react-native';
+import React, { useEffect } from 'react';
+import { Alert, Linking, StatusBar, View } from 'react-native';
 import { SafeAreaProvider, SafeAreaView } from 'react-native-safe-area-context';
+import { registerBackgroundSync } from './src/services/backgroundSyncService';
+import { completeSignInFromUrl } from './src/services/authService';
 import PlayersScreen from './src/screens/PlayersScreen';
 
 export default function App() {
+  useEffect(() => {
+    registerBackgroundSync().catch((err) => {
+      console.warn('Failed to register background sync', err.message);
+    });
+
+    // Magic sign-in links open the app via the rn-tournament-players:// scheme
+    function handleUrl(url) {
+      completeSignInFromUrl(url).catch((err) => {
+        Alert.alert('Sign-in failed', err.message);
+      });
+    }
+    Linking.getInitialURL().then(handleUrl);
+    const subscription = Linking.addEventListener('url', ({ url }) => handleUrl(url));
+    return () => subscription.remove();
+  }, []);
+
   return (
     <SafeAreaProvider>
       <SafeAreaView style={{ flex: 1, backgroundColor: '#0f172a' }} edges={['top', 'bottom']}>
@@ -20,7 +20,8 @@ export default {
       buildNumber: "3",
       infoPlist: {
         NSCameraUsageDescription: "This app needs camera access to take player photos for the tournament roster.",
-        NSPhotoLibraryUsageDescription: "This app needs photo library access to save and manage player photos."
+        NSPhotoLibraryUsageDescription: "This app needs photo library access to save and manage player photos.",
+        UIBackgroundModes: ["fetch"]
       }
     },
     android: {
@@ -33,7 +34,8 @@ export default {
       permissions: [
         "CAMERA",
         "READ_EXTERNAL_STORAGE",
-        "WRITE_EXTERNAL_STORAGE"
+        "WRITE_EXTERNAL_STORAGE",
+        "RECEIVE_BOOT_COMPLETED"
       ]
     },
     web: {
@@ -45,7 +47,8 @@ export default {
         projectId: "4f035597-cc6b-43c5-bb85-0de458045eec"
       },
       supabaseUrl: process.env.EXPO_PUBLIC_SUPABASE_URL,
-      supabaseAnonKey: process.env.EXPO_PUBLIC_SUPABASE_ANON_KEY
+      supabaseAnonKey: process.env.EXPO_PUBLIC_SUPABASE_ANON_KEY,
+      supabaseBucket: process.env.EXPO_PUBLIC_SUPABASE_STORAGE_BUCKET || process.env.EXPO_PUBLIC_SUPABASE_BUCKET
     },
     plugins: [
       [
@@ -53,6 +56,12 @@ export default {
         {
           cameraPermission: "Allow Tournament Players to access your camera to take player photos."
         }
+      ],
+      [
+        "expo-image-picker",
+        {
+          photosPermission: "Allow Tournament Players to access your photos to import player headshots."
+        }
       ]
     ]
   }
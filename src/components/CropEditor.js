@@ -0,0 +1,205 @@
+import React, { useEffect, useRef, useState } from 'react';
+import { Image, PanResponder, StyleSheet, View } from 'react-native';
+import {
+  centeredBox,
+  clampBox,
+  fitImage,
+  imageCropToBox,
+  panTransform,
+  zoomTransform,
+} from '../helpers/cropGeometry.js';
+
+// Touches this close to the box's bottom-right corner resize instead of move
+const HANDLE_HIT = 36;
+
+/**
+ * Square crop over an image: drag the box to move it, drag its corner to resize,
+ * pinch to zoom and drag outside the box to pan a zoomed image.
+ * `initialCrop` ({ originX, originY, size } in image pixels) places the box,
+ * also when it arrives later (face detection) as long as the user has not
+ * touched the editor yet. `onChange({ box, transform })` reports every change;
+ * map it to image pixels with boxToImageCrop.
+ */
+export default function CropEditor({ uri, imageSize, initialCrop = null, onChange }) {
+  const [viewSize, setViewSize] = useState(null);
+  const [transform, setTransform] = useState(null);
+  const [box, setBox] = useState(null);
+  // The responder is created once, so it reads the latest values from here
+  const latest = useRef({ viewSize: null, transform: null, box: null, imageSize, onChange });
+  const gestureRef = useRef(null);
+  const touchedRef = useRef(false);
+  latest.current.imageSize = imageSize;
+  latest.current.onChange = onChange;
+
+  function apply(nextTransform, nextBox) {
+    latest.current.transform = nextTransform;
+    latest.current.box = nextBox;
+    setTransform(nextTransform);
+    setBox(nextBox);
+    if (latest.current.onChange) latest.current.onChange({ box: nextBox, transform: nextTransform });
+  }
+
+  function startingBox(fitted) {
+    if (!initialCrop) return centeredBox(fitted, imageSize, viewSize);
+    return clampBox(imageCropToBox(initialCrop, fitted), fitted, imageSize, viewSize);
+  }
+
+  useEffect(() => {
+    if (!viewSize || !imageSize.width || !imageSize.height) return;
+    latest.current.viewSize = viewSize;
+    touchedRef.current = false;
+    const fitted = fitImage(imageSize, viewSize);
+    apply(fitted, startingBox(fitted));
+  }, [uri, imageSize.width, imageSize.height, viewSize?.width, viewSize?.height]);
+
+  useEffect(() => {
+    const { transform: current, viewSize: view } = latest.current;
+    if (!initialCrop || touchedRef.current || !current || !view) return;
+    apply(current, clampBox(imageCropToBox(initialCrop, current), current, imageSize, view));
+  }, [initialCrop]);
+
+  const responder = useRef(
+    PanResponder.create({
+      onStartShouldSetPanResponder: () => true,
+      onMoveShouldSetPanResponder: () => true,
+      onPanResponderGrant: (evt) => {
+        touchedRef.current = true;
+        gestureRef.current = startGesture(evt.nativeEvent);
+      },
+      onPanResponderMove: (evt, gestureState) => moveGesture(evt.nativeEvent, gestureState),
+      onPanResponderRelease: () => {
+        gestureRef.current = null;
+      },
+      onPanResponderTerminate: () => {
+        gestureRef.current = null;
+      },
+    })
+  ).current;
+
+  function startGesture(nativeEvent) {
+    const { transform: current, box: currentBox } = latest.current;
+    if (!current || !currentBox) return null;
+    const start = { startTransform: current, startBox: currentBox };
+    if (nativeEvent.touches.length >= 2) {
+      return { ...start, mode: 'pinch', distance: touchDistance(nativeEvent.touches) };
+    }
+
+    const x = nativeEvent.locationX;
+    const y = nativeEvent.locationY;
+    const cornerX = currentBox.x + currentBox.size;
+    const cornerY = currentBox.y + currentBox.size;
+    if (Math.abs(x - cornerX) <= HANDLE_HIT && Math.abs(y - cornerY) <= HANDLE_HIT) {
+      return { ...start, mode: 'resize' };
+    }
+    const inside = x >= currentBox.x && x <= cornerX && y >= currentBox.y && y <= cornerY;
+    return { ...start, mode: inside ? 'move' : 'pan' };
+  }
+
+  function moveGesture(nativeEvent, gestureState) {
+    let gesture = gestureRef.current;
+    if (!gesture) return;
+    // A second finger landing mid-drag turns the gesture into a pinch
+    if (nativeEvent.touches.length >= 2 && gesture.mode !== 'pinch') {
+      gesture = { ...startGesture(nativeEvent), mode: 'pinch', distance: touchDistance(nativeEvent.touches) };
+      gestureRef.current = gesture;
+    }
+    if (!gesture.startTransform) return;
+
+    const { imageSize: image, viewSize: view } = latest.current;
+    const { startTransform, startBox } = gesture;
+    const { dx, dy } = gestureState;
+    switch (gesture.mode) {
+      case 'pinch': {
+        if (nativeEvent.touches.length < 2 || !gesture.distance) return;
+        // Zoom around the box so the player stays inside it
+        const focal = { x: startBox.x + startBox.size / 2, y: startBox.y + startBox.size / 2 };
+        const factor = touchDistance(nativeEvent.touches) / gesture.distance;
+        const next = zoomTransform(startTransform, factor, focal, image, view);
+        apply(next, clampBox(startBox, next, image, view));
+        break;
+      }
+      case 'resize':
+        apply(startTransform, clampBox({ ...startBox, size: startBox.size + Math.max(dx, dy) }, startTransform, image, view));
+        break;
+      case 'move':
+        apply(startTransform, clampBox({ ...startBox, x: startBox.x + dx, y: startBox.y + dy }, startTransform, image, view));
+        break;
+      default: {
+        const next = panTransform(startTransform, dx, dy, image, view);
+        apply(next, clampBox(startBox, next, image, view));
+      }
+    }
+  }
+
+  return (
+    <View
+      style={styles.container}
+      onLayout={(e) => setViewSize({ width: e.nativeEvent.layout.width, height: e.nativeEvent.layout.height })}
+      {...responder.panHandlers}
+    >
+      {transform && (
+        <View pointerEvents="none" style={StyleSheet.absoluteFill}>
+          <Image
+            source={{ uri }}
+            style={{
+              position: 'absolute',
+              left: transform.x,
+              top: transform.y,
+              width: imageSize.width * transform.scale,
+              height: imageSize.height * transform.scale,
+            }}
+          />
+        </View>
+      )}
+      {box && (
+        <View pointerEvents="none" style={[styles.cropBox, { left: box.x, top: box.y, width: box.size, height: box.size }]}>
+          <View style={styles.dragHandle} />
+          <View style={styles.resizeHandle} />
+        </View>
+      )}
+    </View>
+  );
+}
+
+function touchDistance(touches) {
+  const [a, b] = touches;
+  return Math.hypot(a.pageX - b.pageX, a.pageY - b.pageY);
+}
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    overflow: 'hidden',
+  },
+  cropBox: {
+    position: 'absolute',
+    borderWidth: 3,
+    borderColor: '#38bdf8',
+    borderRadius: 8,
+    backgroundColor: 'rgba(56, 189, 248, 0.1)',
+  },
+  dragHandle: {
+    position: 'absolute',
+    top: '50%',
+    left: '50%',
+    width: 40,
+    height: 40,
+    marginLeft: -20,
+    marginTop: -20,
+    backgroundColor: 'rgba(56, 189, 248, 0.3)',
+    borderRadius: 20,
+    borderWidth: 2,
+    borderColor: '#38bdf8',
+  },
+  resizeHandle: {
+    position: 'absolute',
+    right: -10,
+    bottom: -10,
+    width: 22,
+    height: 22,
+    borderRadius: 11,
+    backgroundColor: '#38bdf8',
+    borderWidth: 2,
+    borderColor: '#0f172a',
+  },
+});
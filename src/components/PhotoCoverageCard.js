@@ -0,0 +1,172 @@
+import React, { useEffect, useState } from 'react';
+import { ActivityIndicator, Pressable, StyleSheet, Text, View } from 'react-native';
+import { getPlayers, describeOmnipongError } from '../services/omnipongService.js';
+import { getPhotoCoverage } from '../services/supabaseService.js';
+import { getCachedRoster } from '../storage/rosterStore.js';
+import { identifyPlayers } from '../storage/aliasStore.js';
+import { describeQualityIssues } from '../services/photoQualityService.js';
+import { mergePlayers } from '../helpers/utils.js';
+
+const MISSING_LIST_LIMIT = 50;
+
+// Per-tournament photo coverage for the Settings storage section.
+export default function PhotoCoverageCard({ tournament, manualPlayers = [], onCapturePlayer }) {
+  const [coverage, setCoverage] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [note, setNote] = useState('');
+  const [showMissing, setShowMissing] = useState(false);
+  const [showWeak, setShowWeak] = useState(false);
+
+  useEffect(() => {
+    if (tournament) loadCoverage();
+  }, [tournament?.clubId, tournament?.tournamentId]);
+
+  async function loadCoverage() {
+    try {
+      setLoading(true);
+      setNote('');
+      let roster;
+      try {
+        roster = await getPlayers(tournament.omnipongUrl);
+      } catch (err) {
+        // Offline at the venue: the cached roster is good enough for counting
+        const cached = await getCachedRoster(tournament);
+        if (!cached) throw err;
+        roster = cached.players;
+        setNote(`${describeOmnipongError(err)} Using the saved roster.`);
+      }
+      const result = await getPhotoCoverage(await identifyPlayers(mergePlayers(manualPlayers, roster)), tournament);
+      if (!result.remoteAvailable) {
+        setNote((prev) => `${prev} Supabase not reachable; remote photos not counted.`.trim());
+      }
+      setCoverage(result);
+    } catch (err) {
+      console.error('Failed to load photo coverage:', err.message);
+      setNote(describeOmnipongError(err));
+    } finally {
+      setLoading(false);
+    }
+  }
+
+  if (!tournament) {
+    return <Text style={styles.note}>Select a tournament to see photo coverage.</Text>;
+  }
+
+  const total = coverage?.total || 0;
+  const pct = (count) => (total > 0 ? (count / total) * 100 : 0);
+
+  return (
+    <View style={styles.card}>
+      <View style={styles.headerRow}>
+        <Text style={styles.title} numberOfLines={1}>Coverage · {tournament.name}</Text>
+        <Pressable onPress={loadCoverage} disabled={loading} hitSlop={8}>
+          <Text style={styles.refresh}>{loading ? '…' : '↻'}</Text>
+        </Pressable>
+      </View>
+
+      {loading && !coverage ? (
+        <ActivityIndicator color="#38bdf8" style={{ marginVertical: 12 }} />
+      ) : coverage ? (
+        <>
+          <View style={styles.bar}>
+            <View style={[styles.barSegment, styles.barLocal, { width: `${pct(coverage.local.length)}%` }]} />
+            <View style={[styles.barSegment, styles.barRemote, { width: `${pct(coverage.remoteOnly.length)}%` }]} />
+          </View>
+          <View style={styles.legend}>
+            <Text style={[styles.legendItem, styles.legendLocal]}>● {coverage.local.length} on device</Text>
+            <Text style={[styles.legendItem, styles.legendRemote]}>● {coverage.remoteOnly.length} Supabase only</Text>
+            <Text style={[styles.legendItem, styles.legendMissing]}>● {coverage.missing.length} missing</Text>
+          </View>
+
+          {coverage.missing.length > 0 && (
+            <Pressable style={styles.missingToggle} onPress={() => setShowMissing(!showMissing)}>
+              <Text style={styles.missingToggleText}>
+                {showMissing ? 'Hide' : 'Show'} missing photos ({coverage.missing.length})
+              </Text>
+            </Pressable>
+          )}
+          {showMissing &&
+            coverage.missing.slice(0, MISSING_LIST_LIMIT).map((player) => (
+              <Pressable key={String(player.id)} style={styles.missingRow} onPress={() => onCapturePlayer?.(player)}>
+                <Text style={styles.missingName}>{player.name}</Text>
+                <Text style={styles.missingAction}>📷 Capture</Text>
+              </Pressable>
+            ))}
+          {showMissing && coverage.missing.length > MISSING_LIST_LIMIT && (
+            <Text style={styles.note}>…and {coverage.missing.length - MISSING_LIST_LIMIT} more</Text>
+          )}
+
+          {coverage.weak.length > 0 && (
+            <Pressable style={styles.missingToggle} onPress={() => setShowWeak(!showWeak)}>
+              <Text style={[styles.missingToggleText, styles.weakToggleText]}>
+                {showWeak ? 'Hide' : 'Show'} weak photos ({coverage.weak.length})
+              </Text>
+            </Pressable>
+          )}
+          {showWeak &&
+            coverage.weak.slice(0, MISSING_LIST_LIMIT).map((player) => (
+              <Pressable key={String(player.id)} style={styles.missingRow} onPress={() => onCapturePlayer?.(player)}>
+                <View style={styles.weakInfo}>
+                  <Text style={styles.missingName}>{player.name}</Text>
+                  <Text style={styles.weakIssues}>
+                    {describeQualityIssues(player.quality.issues)} · score {player.quality.score}
+                  </Text>
+                </View>
+                <Text style={styles.missingAction}>📷 Retake</Text>
+              </Pressable>
+            ))}
+        </>
+      ) : null}
+
+      {!!note && <Text style={styles.note}>{note}</Text>}
+    </View>
+  );
+}
+
+const styles = StyleSheet.create({
+  card: {
+    backgroundColor: '#1e293b',
+    padding: 12,
+    borderRadius: 8,
+    marginBottom: 12,
+  },
+  headerRow: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    marginBottom: 8,
+  },
+  title: { color: '#e2e8f0', fontSize: 14, fontWeight: '600', flex: 1 },
+  refresh: { color: '#38bdf8', fontSize: 18, marginLeft: 8 },
+  bar: {
+    flexDirection: 'row',
+    height: 10,
+    borderRadius: 5,
+    overflow: 'hidden',
+    backgroundColor: '#475569',
+  },
+  barSegment: { height: '100%' },
+  barLocal: { backgroundColor: '#10b981' },
+  barRemote: { backgroundColor: '#38bdf8' },
+  legend: { flexDirection: 'row', flexWrap: 'wrap', gap: 12, marginTop: 8 },
+  legendItem: { fontSize: 12, fontWeight: '600' },
+  legendLocal: { color: '#10b981' },
+  legendRemote: { color: '#38bdf8' },
+  legendMissing: { color: '#94a3b8' },
+  missingToggle: { marginTop: 12 },
+  missingToggleText: { color: '#38bdf8', fontWeight: '600', fontSize: 13 },
+  weakToggleText: { color: '#fbbf24' },
+  weakInfo: { flex: 1 },
+  weakIssues: { color: '#fbbf24', fontSize: 12, marginTop: 2 },
+  missingRow: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    paddingVertical: 8,
+    borderBottomWidth: 1,
+    borderBottomColor: '#334155',
+  },
+  missingName: { color: '#e2e8f0', fontSize: 14, flex: 1 },
+  missingAction: { color: '#94a3b8', fontSize: 12 },
+  note: { color: '#94a3b8', fontSize: 12, marginTop: 8 },
+});
@@ -0,0 +1,150 @@
+import React, { useEffect, useState } from 'react';
+import { View, Text, TextInput, Pressable, StyleSheet, Alert, ActivityIndicator } from 'react-native';
+import { getSession, sendMagicLink, signInWithPassword, signOut, subscribeAuth } from '../services/authService.js';
+
+/**
+ * Volunteer sign-in for uploads. Leave the password empty to get a sign-in link by email.
+ */
+export default function SupabaseAuthPanel({ disabled = false }) {
+  const [session, setSession] = useState(null);
+  const [email, setEmail] = useState('');
+  const [password, setPassword] = useState('');
+  const [busy, setBusy] = useState(false);
+
+  useEffect(() => {
+    let active = true;
+    getSession().then((current) => {
+      if (active) setSession(current);
+    });
+    const unsubscribe = subscribeAuth(setSession);
+    return () => {
+      active = false;
+      unsubscribe();
+    };
+  }, []);
+
+  async function handleSignIn() {
+    if (!email.trim()) {
+      Alert.alert('Email required', 'Enter the email address you volunteer with.');
+      return;
+    }
+    setBusy(true);
+    try {
+      if (password) {
+        await signInWithPassword(email, password);
+        setPassword('');
+      } else {
+        await sendMagicLink(email);
+        Alert.alert('Check your email', `We sent a sign-in link to ${email.trim()}. Open it on this device.`);
+      }
+    } catch (err) {
+      Alert.alert('Sign-in failed', err.message);
+    } finally {
+      setBusy(false);
+    }
+  }
+
+  async function handleSignOut() {
+    setBusy(true);
+    try {
+      await signOut();
+    } finally {
+      setBusy(false);
+    }
+  }
+
+  if (session) {
+    return (
+      <View style={styles.card}>
+        <Text style={styles.label}>Signed in as</Text>
+        <Text style={styles.value}>{session.user?.email || 'volunteer'}</Text>
+        <Pressable style={[styles.button, styles.signOutButton]} onPress={handleSignOut} disabled={busy}>
+          <Text style={styles.buttonText}>{busy ? 'Signing out…' : 'Sign Out'}</Text>
+        </Pressable>
+      </View>
+    );
+  }
+
+  return (
+    <View style={styles.card}>
+      <Text style={styles.label}>Sign in to upload photos. Viewing and downloading works without an account.</Text>
+      <TextInput
+        placeholder="Email"
+        placeholderTextColor="#94a3b8"
+        value={email}
+        onChangeText={setEmail}
+        style={styles.input}
+        autoCapitalize="none"
+        autoCorrect={false}
+        keyboardType="email-address"
+        editable={!disabled}
+      />
+      <TextInput
+        placeholder="Password (leave empty for an email link)"
+        placeholderTextColor="#94a3b8"
+        value={password}
+        onChangeText={setPassword}
+        style={styles.input}
+        secureTextEntry
+        editable={!disabled}
+        onSubmitEditing={handleSignIn}
+      />
+      <Pressable
+        style={[styles.button, (busy || disabled) && styles.buttonDisabled]}
+        onPress={handleSignIn}
+        disabled={busy || disabled}
+      >
+        {busy ? (
+          <ActivityIndicator color="#e2e8f0" />
+        ) : (
+          <Text style={styles.buttonText}>{password ? 'Sign In' : 'Email Me a Sign-In Link'}</Text>
+        )}
+      </Pressable>
+    </View>
+  );
+}
+
+const styles = StyleSheet.create({
+  card: {
+    backgroundColor: '#1e293b',
+    padding: 12,
+    borderRadius: 8,
+    marginBottom: 12,
+    gap: 8,
+  },
+  label: {
+    color: '#94a3b8',
+    fontSize: 12,
+  },
+  value: {
+    color: '#e2e8f0',
+    fontSize: 16,
+    fontWeight: '600',
+  },
+  input: {
+    backgroundColor: '#0f172a',
+    color: '#e2e8f0',
+    borderRadius: 8,
+    paddingHorizontal: 12,
+    paddingVertical: 10,
+    borderWidth: 1,
+    borderColor: '#334155',
+  },
+  button: {
+    backgroundColor: '#2563eb',
+    paddingVertical: 10,
+    borderRadius: 8,
+    alignItems: 'center',
+  },
+  buttonDisabled: {
+    backgroundColor: '#1f2937',
+  },
+  signOutButton: {
+    backgroundColor: '#334155',
+  },
+  buttonText: {
+    color: '#e2e8f0',
+    fontWeight: '700',
+    fontSize: 14,
+  },
+});
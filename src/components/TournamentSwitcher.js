@@ -0,0 +1,175 @@
+import React, { useEffect, useState } from 'react';
+import { ActivityIndicator, FlatList, Modal, Pressable, StyleSheet, Text, View, Alert } from 'react-native';
+import { getSavedTournaments, removeSavedTournament, setTournamentFavorite } from '../storage/settingsStore.js';
+import { getCachedRoster } from '../storage/rosterStore.js';
+import { countPlayersWithPhotos } from '../storage/photoStore.js';
+import { identifyPlayers } from '../storage/aliasStore.js';
+
+// Header pill on the Players screen; opens a sheet of favorite/recent tournaments.
+export default function TournamentSwitcher({ currentTournament, onSwitch }) {
+  const [visible, setVisible] = useState(false);
+  const [saved, setSaved] = useState([]);
+  const [progress, setProgress] = useState({});
+  const [loading, setLoading] = useState(false);
+
+  useEffect(() => {
+    if (visible) loadSaved();
+  }, [visible]);
+
+  async function loadSaved() {
+    try {
+      setLoading(true);
+      let list = await getSavedTournaments();
+      // Selections made before the saved list existed still show up
+      if (currentTournament && !list.some((t) => isSame(t, currentTournament))) {
+        list = [currentTournament, ...list];
+      }
+      setSaved(list);
+      setLoading(false);
+
+      const next = {};
+      for (const tournament of list) {
+        const roster = await getCachedRoster(tournament);
+        if (!roster) continue;
+        const withPhoto = await countPlayersWithPhotos(await identifyPlayers(roster.players));
+        next[keyOf(tournament)] = { withPhoto, total: roster.players.length };
+      }
+      setProgress(next);
+    } catch (err) {
+      console.error('Failed to load saved tournaments:', err.message);
+      setLoading(false);
+    }
+  }
+
+  async function toggleFavorite(tournament) {
+    try {
+      await setTournamentFavorite(tournament, !tournament.favorite);
+      await loadSaved();
+    } catch (err) {
+      console.error('Failed to update favorite:', err.message);
+    }
+  }
+
+  function confirmRemove(tournament) {
+    Alert.alert('Remove Tournament', `Remove "${tournament.name}" from this list?`, [
+      { text: 'Cancel', style: 'cancel' },
+      {
+        text: 'Remove',
+        style: 'destructive',
+        onPress: async () => {
+          await removeSavedTournament(tournament);
+          await loadSaved();
+        },
+      },
+    ]);
+  }
+
+  function renderTournament({ item }) {
+    const isCurrent = isSame(item, currentTournament);
+    const stats = progress[keyOf(item)];
+    return (
+      <Pressable
+        style={[styles.row, isCurrent && styles.rowCurrent]}
+        onPress={() => {
+          setVisible(false);
+          if (!isCurrent) onSwitch(item);
+        }}
+        onLongPress={() => confirmRemove(item)}
+      >
+        <View style={styles.rowBody}>
+          <Text style={styles.rowName} numberOfLines={1}>{item.name}</Text>
+          <Text style={styles.rowProgress}>
+            {stats ? `${stats.withPhoto}/${stats.total} photos` : 'Roster not downloaded'}
+          </Text>
+        </View>
+        <Pressable style={styles.star} onPress={() => toggleFavorite(item)} hitSlop={8}>
+          <Text style={styles.starText}>{item.favorite ? '★' : '☆'}</Text>
+        </Pressable>
+      </Pressable>
+    );
+  }
+
+  return (
+    <>
+      <Pressable style={styles.pill} onPress={() => setVisible(true)}>
+        <Text style={styles.pillText} numberOfLines={1}>
+          {currentTournament ? currentTournament.name : 'Select tournament'}
+        </Text>
+        <Text style={styles.pillChevron}>▾</Text>
+      </Pressable>
+
+      <Modal visible={visible} transparent animationType="fade" onRequestClose={() => setVisible(false)}>
+        <Pressable style={styles.backdrop} onPress={() => setVisible(false)}>
+          <Pressable style={styles.sheet}>
+            <Text style={styles.sheetTitle}>Switch Tournament</Text>
+            <Text style={styles.sheetHint}>★ keeps a tournament here · long-press to remove</Text>
+            {loading ? (
+              <ActivityIndicator color="#38bdf8" style={{ marginVertical: 16 }} />
+            ) : saved.length === 0 ? (
+              <Text style={styles.empty}>Pick a tournament in Settings to add it here.</Text>
+            ) : (
+              <FlatList data={saved} keyExtractor={keyOf} renderItem={renderTournament} style={styles.list} />
+            )}
+          </Pressable>
+        </Pressable>
+      </Modal>
+    </>
+  );
+}
+
+function keyOf(tournament) {
+  return `${tournament.clubId}_${tournament.tournamentId}`;
+}
+
+function isSame(a, b) {
+  return !!a && !!b && a.clubId === b.clubId && a.tournamentId === b.tournamentId;
+}
+
+const styles = StyleSheet.create({
+  pill: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    alignSelf: 'flex-start',
+    maxWidth: '100%',
+    backgroundColor: '#1e293b',
+    borderRadius: 16,
+    paddingHorizontal: 12,
+    paddingVertical: 6,
+    marginBottom: 8,
+  },
+  pillText: { color: '#e2e8f0', fontSize: 14, fontWeight: '600', flexShrink: 1 },
+  pillChevron: { color: '#94a3b8', marginLeft: 6 },
+  backdrop: {
+    flex: 1,
+    backgroundColor: 'rgba(0, 0, 0, 0.6)',
+    justifyContent: 'center',
+    padding: 24,
+  },
+  sheet: {
+    backgroundColor: '#111827',
+    borderRadius: 12,
+    padding: 16,
+    borderWidth: 1,
+    borderColor: '#1f2937',
+    maxHeight: '80%',
+  },
+  sheetTitle: { color: '#e2e8f0', fontSize: 18, fontWeight: '700' },
+  sheetHint: { color: '#64748b', fontSize: 12, marginTop: 4, marginBottom: 12 },
+  list: { flexGrow: 0 },
+  empty: { color: '#94a3b8', marginVertical: 16 },
+  row: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingVertical: 12,
+    paddingHorizontal: 12,
+    backgroundColor: '#1e293b',
+    borderRadius: 8,
+    marginBottom: 8,
+  },
+  rowCurrent: { backgroundColor: '#2563eb' },
+  rowBody: { flex: 1 },
+  rowName: { color: '#e2e8f0', fontSize: 14, fontWeight: '600' },
+  rowProgress: { color: '#cbd5e1', fontSize: 12, marginTop: 2 },
+  star: { paddingLeft: 12 },
+  starText: { color: '#fbbf24', fontSize: 20 },
+});
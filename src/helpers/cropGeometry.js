@@ -0,0 +1,120 @@
+// Geometry for the crop editor. The image is drawn at `transform` ({ x, y, scale }:
+// top-left corner in view points and view points per image pixel); the crop box
+// is a square in view points. Everything sent to ImageManipulator is in image pixels.
+
+export const MIN_CROP_BOX = 64;
+export const MAX_ZOOM = 4;
+
+/**
+ * Transform that fits the whole image inside the view, centered ("contain").
+ * @param {{width: number, height: number}} imageSize
+ * @param {{width: number, height: number}} viewSize
+ */
+export function fitImage(imageSize, viewSize) {
+	const scale = Math.min(viewSize.width / imageSize.width, viewSize.height / imageSize.height);
+	return {
+		x: (viewSize.width - imageSize.width * scale) / 2,
+		y: (viewSize.height - imageSize.height * scale) / 2,
+		scale,
+	};
+}
+
+/**
+ * Zoom by `factor` around `focal` (view points), between the fitted scale and
+ * MAX_ZOOM times it. The image stays centered on axes where it is smaller than
+ * the view and otherwise never leaves a gap at the edges.
+ */
+export function zoomTransform(transform, factor, focal, imageSize, viewSize) {
+	const fitted = fitImage(imageSize, viewSize);
+	const scale = clamp(transform.scale * factor, fitted.scale, fitted.scale * MAX_ZOOM);
+	const ratio = scale / transform.scale;
+	return clampTransform({
+		x: focal.x - (focal.x - transform.x) * ratio,
+		y: focal.y - (focal.y - transform.y) * ratio,
+		scale,
+	}, imageSize, viewSize);
+}
+
+export function panTransform(transform, dx, dy, imageSize, viewSize) {
+	return clampTransform({ ...transform, x: transform.x + dx, y: transform.y + dy }, imageSize, viewSize);
+}
+
+function clampTransform(transform, imageSize, viewSize) {
+	const clampAxis = (origin, imageLength, viewLength) => {
+		const shown = imageLength * transform.scale;
+		if (shown <= viewLength) return (viewLength - shown) / 2;
+		return clamp(origin, viewLength - shown, 0);
+	};
+	return {
+		scale: transform.scale,
+		x: clampAxis(transform.x, imageSize.width, viewSize.width),
+		y: clampAxis(transform.y, imageSize.height, viewSize.height),
+	};
+}
+
+// Part of the view the image actually covers
+function visibleImageRect(transform, imageSize, viewSize) {
+	const left = Math.max(0, transform.x);
+	const top = Math.max(0, transform.y);
+	const right = Math.min(viewSize.width, transform.x + imageSize.width * transform.scale);
+	const bottom = Math.min(viewSize.height, transform.y + imageSize.height * transform.scale);
+	return { left, top, width: Math.max(0, right - left), height: Math.max(0, bottom - top) };
+}
+
+/**
+ * Keep the box square and on the visible image. The box shrinks when the image
+ * is shorter or narrower than it (e.g. a wide photo in a tall view), which is
+ * what keeps the crop from running off the picture.
+ */
+export function clampBox(box, transform, imageSize, viewSize) {
+	const rect = visibleImageRect(transform, imageSize, viewSize);
+	const maxSize = Math.min(rect.width, rect.height);
+	const size = clamp(box.size, Math.min(MIN_CROP_BOX, maxSize), maxSize);
+	return {
+		x: clamp(box.x, rect.left, rect.left + rect.width - size),
+		y: clamp(box.y, rect.top, rect.top + rect.height - size),
+		size,
+	};
+}
+
+/**
+ * Largest box that fits `fraction` of the visible image, centered.
+ */
+export function centeredBox(transform, imageSize, viewSize, fraction = 0.8) {
+	const rect = visibleImageRect(transform, imageSize, viewSize);
+	const size = Math.min(rect.width, rect.height) * fraction;
+	return clampBox({
+		x: rect.left + (rect.width - size) / 2,
+		y: rect.top + (rect.height - size) / 2,
+		size,
+	}, transform, imageSize, viewSize);
+}
+
+/**
+ * View box for a square crop in image pixels (`{ originX, originY, size }`).
+ */
+export function imageCropToBox(crop, transform) {
+	return {
+		x: transform.x + crop.originX * transform.scale,
+		y: transform.y + crop.originY * transform.scale,
+		size: crop.size * transform.scale,
+	};
+}
+
+/**
+ * ImageManipulator crop action (whole image pixels, inside the image) for a view box.
+ */
+export function boxToImageCrop(box, transform, imageSize) {
+	const maxSize = Math.min(imageSize.width, imageSize.height);
+	const size = Math.min(Math.round(box.size / transform.scale), maxSize);
+	return {
+		originX: clamp(Math.round((box.x - transform.x) / transform.scale), 0, imageSize.width - size),
+		originY: clamp(Math.round((box.y - transform.y) / transform.scale), 0, imageSize.height - size),
+		width: size,
+		height: size,
+	};
+}
+
+function clamp(value, min, max) {
+	return Math.min(Math.max(value, min), Math.max(min, max));
+}
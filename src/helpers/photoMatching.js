@@ -0,0 +1,92 @@
+// Match imported photo files ("seanobrien.jpg", "OBrien_Sean.png") to roster players.
+import { foldName, normalizePlayerName } from './playerIdentity.js';
+import { nameSimilarity } from './utils.js';
+
+// Below this a file is left for the reviewer to assign by hand
+export const MATCH_THRESHOLD = 0.75;
+// Alternatives offered for each file on the review screen
+const SUGGESTION_COUNT = 3;
+const IMAGE_EXTENSIONS = ['.jpg', '.jpeg', '.png', '.heic', '.webp'];
+
+/**
+ * True for image files worth importing; skips macOS resource forks and dotfiles.
+ * @param {string} path
+ * @returns {boolean}
+ */
+export function isImportableImage(path) {
+	const name = (path || '').split('/').pop();
+	if (!name || name.startsWith('.') || path.includes('__MACOSX/')) return false;
+	const lower = name.toLowerCase();
+	return IMAGE_EXTENSIONS.some((ext) => lower.endsWith(ext));
+}
+
+// "photos/OBrien_Sean.JPG" -> "OBrien_Sean"
+function fileStem(path) {
+	const name = (path || '').split('/').pop();
+	const dot = name.lastIndexOf('.');
+	return dot > 0 ? name.slice(0, dot) : name;
+}
+
+/**
+ * How well a file name fits a player, from 0 to 1. A file named with the player's
+ * photo key (or a former one) is exact; otherwise the compact key and the name
+ * words are compared fuzzily, whichever fits better.
+ * @param {string} fileName
+ * @param {{name: string, photoKey?: string, formerKeys?: string[]}} player
+ * @returns {number}
+ */
+export function scoreFileForPlayer(fileName, player) {
+	const stem = fileStem(fileName);
+	const folded = foldName(stem).trim();
+	const keys = [player.photoKey, ...(player.formerKeys || [])].filter(Boolean);
+	if (keys.includes(folded)) return 1;
+
+	const compact = normalizePlayerName(stem);
+	const playerKey = normalizePlayerName(player.name);
+	// Same name as a namesake whose key carries a club suffix
+	if (compact && compact === playerKey) return 0.98;
+
+	const words = folded.replace(/[_.-]+/g, ' ');
+	return Math.max(nameSimilarity(compact, playerKey), nameSimilarity(words, player.name));
+}
+
+/**
+ * Pair each file with at most one player and each player with at most one file,
+ * best scores first (as diffRosters pairs renames). Players need photo keys
+ * (identifyPlayers).
+ * @param {string[]} fileNames
+ * @param {Array<{id: string, name: string, photoKey: string}>} players
+ * @returns {Array<{fileName: string, player: object|null, score: number, suggestions: Array<{player: object, score: number}>}>}
+ */
+export function matchPhotoFiles(fileNames, players) {
+	const scored = fileNames.map((fileName) => players
+		.map((player) => ({ player, score: scoreFileForPlayer(fileName, player) }))
+		.filter((candidate) => candidate.score > 0)
+		.sort((a, b) => b.score - a.score));
+
+	const candidates = [];
+	scored.forEach((list, fileIndex) => {
+		for (const { player, score } of list) {
+			if (score >= MATCH_THRESHOLD) candidates.push({ fileIndex, player, score });
+		}
+	});
+	candidates.sort((a, b) => b.score - a.score);
+
+	const matched = new Map();
+	const pairedPlayers = new Set();
+	for (const candidate of candidates) {
+		if (matched.has(candidate.fileIndex) || pairedPlayers.has(String(candidate.player.id))) continue;
+		matched.set(candidate.fileIndex, candidate);
+		pairedPlayers.add(String(candidate.player.id));
+	}
+
+	return fileNames.map((fileName, fileIndex) => {
+		const match = matched.get(fileIndex);
+		return {
+			fileName,
+			player: match ? match.player : null,
+			score: match ? match.score : 0,
+			suggestions: scored[fileIndex].slice(0, SUGGESTION_COUNT),
+		};
+	});
+}
@@ -0,0 +1,123 @@
+// Player name -> photo key ("Li, Wei" of Club X -> "weili-clubx"). Keys are folded to
+// plain ASCII and include the club, so two players sharing a name never share a photo.
+
+// Letters NFKD leaves alone because they are not "base letter + accent"
+const SPECIAL_LETTERS = { ß: 'ss', æ: 'ae', œ: 'oe', ø: 'o', ł: 'l', đ: 'd', ð: 'd', þ: 'th', ı: 'i' };
+// parsePlayers suffixes the id of a repeated name + club with "-2", "-3", ...
+const DUPLICATE_ID_PATTERN = /^op-[a-z0-9]+-(\d+)$/;
+
+/**
+ * Lowercase and strip accents: "José Ñúñez" -> "jose nunez".
+ * @param {string} name
+ * @returns {string}
+ */
+export function foldName(name) {
+	const value = (name || '').toLowerCase();
+	const decomposed = typeof value.normalize === 'function' ? value.normalize('NFKD') : value;
+	return decomposed
+		.replace(/[\u0300-\u036f]/g, '')
+		.replace(/[ßæœøłđðþı]/g, (ch) => SPECIAL_LETTERS[ch]);
+}
+
+// "Last, First" -> "First Last"; other names unchanged
+function firstNameFirst(name) {
+	const parts = (name || '').split(',');
+	return parts.length > 1 ? `${parts.slice(1).join(' ').trim()} ${parts[0].trim()}` : name || '';
+}
+
+/**
+ * Photo key for a name: first name first, folded, punctuation and spaces removed.
+ * "O'Brien, Seán" -> "seanobrien", "Smith-Jones, Mary" -> "marysmithjones".
+ * Names with no Latin letters or digits ("Иван Петров") get "name-<hash>" instead
+ * of an empty key. Empty names stay empty.
+ * @param {string} name
+ * @returns {string}
+ */
+export function normalizePlayerName(name) {
+	const folded = foldName(firstNameFirst(name));
+	const key = folded.replace(/[^a-z0-9]+/g, '');
+	if (key || !folded.trim()) return key;
+	return `name-${hashString(folded.replace(/\s+/g, ' ').trim())}`;
+}
+
+/**
+ * Key the original composeImageFileName produced (lowercased, whitespace removed,
+ * nothing else). Photos saved before normalization still live under it.
+ * @param {string} name
+ * @returns {string}
+ */
+export function legacyPhotoKey(name) {
+	const parts = (name || '').split(',');
+	const sName = parts.length > 1 ? `${parts[1].trim()}${parts[0].trim()}` : name;
+	return (sName || '').replace(/\s+/g, '').toLowerCase();
+}
+
+/**
+ * Give each player a `photoKey`, plus `formerKeys` from the alias map
+ * (`{ [photoKey]: [olderKey, ...] }`) so photos saved under a previous name are still found.
+ *
+ * Keys depend only on the player, so every device names a photo the same way no
+ * matter which namesakes it has seen: name + club ("weili-clubx"), and Omnipong's
+ * repeated name + club entries add their "-2", "-3" id suffix. Entries without a
+ * club (manual players) use the plain name key. Photos from before club keys live
+ * under the plain key, which a club player keeps as a former key while no other
+ * club player in the roster shares the name.
+ * @param {Array<{id: string, name: string, club?: string}>} players
+ * @param {Object<string, string[]>} aliases
+ * @returns {Array<object>}
+ */
+export function assignPhotoKeys(players, aliases = {}) {
+	const namesakes = new Map();
+	for (const player of players) {
+		if (!normalizePlayerName(player.club)) continue;
+		const base = normalizePlayerName(player.name);
+		namesakes.set(base, (namesakes.get(base) || 0) + 1);
+	}
+
+	return players.map((player) => {
+		const base = normalizePlayerName(player.name);
+		const photoKey = playerPhotoKey(player);
+		const formerKeys = resolveFormerKeys(photoKey, aliases);
+		if (photoKey !== base && namesakes.get(base) === 1 && !formerKeys.includes(base)) formerKeys.push(base);
+		return { ...player, photoKey, formerKeys };
+	});
+}
+
+/**
+ * A player's own photo key: "<name>-<club>", "-<n>" for Omnipong's repeated entries,
+ * or the plain name key without a club.
+ * @param {{id: string, name: string, club?: string}} player
+ * @returns {string}
+ */
+export function playerPhotoKey(player) {
+	const base = normalizePlayerName(player.name);
+	const club = normalizePlayerName(player.club);
+	if (!base || !club) return base;
+	const duplicate = DUPLICATE_ID_PATTERN.exec(String(player.id));
+	return duplicate ? `${base}-${club}-${duplicate[1]}` : `${base}-${club}`;
+}
+
+// Follow alias chains (a rename of a rename); guards against cycles
+function resolveFormerKeys(photoKey, aliases) {
+	const seen = new Set([photoKey]);
+	const pending = [...(aliases[photoKey] || [])];
+	const former = [];
+	while (pending.length > 0) {
+		const key = pending.shift();
+		if (seen.has(key)) continue;
+		seen.add(key);
+		former.push(key);
+		pending.push(...(aliases[key] || []));
+	}
+	return former;
+}
+
+// FNV-1a, as omnipongService uses for player ids
+function hashString(value) {
+	let hash = 0x811c9dc5;
+	for (let i = 0; i < value.length; i += 1) {
+		hash ^= value.charCodeAt(i);
+		hash = Math.imul(hash, 0x01000193);
+	}
+	return (hash >>> 0).toString(36);
+}
@@ -0,0 +1,66 @@
+// Compare two Omnipong rosters to report late entries, withdrawals and likely renames.
+import { normalizePlayerName } from './playerIdentity.js';
+import { nameSimilarity } from './utils.js';
+
+// A rename keeps the surname and only fixes the given name's spelling; short names
+// one letter apart ("Li, Na" / "Li, Ma", "Zhang, Wei" / "Zhang, Wen") stay two players
+const GIVEN_NAME_THRESHOLD = 0.85;
+
+// "Last, First" -> { surname: "last", given: "First" }; without a comma the last word is the surname
+function splitName(name) {
+	const value = (name || '').trim();
+	const comma = value.indexOf(',');
+	if (comma >= 0) return { surname: normalizePlayerName(value.slice(0, comma)), given: value.slice(comma + 1) };
+	const words = value.split(/\s+/);
+	return { surname: normalizePlayerName(words.pop()), given: words.join(' ') };
+}
+
+function renameScore(from, to) {
+	const score = nameSimilarity(from.name, to.name);
+	// Same name with a different club is the same person changing clubs
+	if (score === 1) return from.club !== to.club ? 0.99 : 1;
+	const before = splitName(from.name);
+	const after = splitName(to.name);
+	if (!before.surname || before.surname !== after.surname) return 0;
+	return nameSimilarity(before.given, after.given) >= GIVEN_NAME_THRESHOLD ? score : 0;
+}
+
+/**
+ * Diff two rosters by player id. Ids are derived from name + club, so a rename
+ * shows up as one add plus one withdrawal; those are paired back up when the surname
+ * matches exactly and the given name nearly does.
+ * @param {Array<{id: string, name: string, club?: string}>} previous
+ * @param {Array<{id: string, name: string, club?: string}>} next
+ * @returns {{added: Array, withdrawn: Array, renamed: Array<{from: object, to: object, score: number}>}}
+ */
+export function diffRosters(previous = [], next = []) {
+	const previousIds = new Set(previous.map((p) => String(p.id)));
+	const nextIds = new Set(next.map((p) => String(p.id)));
+	const added = next.filter((p) => !previousIds.has(String(p.id)));
+	const withdrawn = previous.filter((p) => !nextIds.has(String(p.id)));
+
+	const candidates = [];
+	for (const from of withdrawn) {
+		for (const to of added) {
+			const score = renameScore(from, to);
+			if (score > 0) candidates.push({ from, to, score });
+		}
+	}
+	candidates.sort((a, b) => b.score - a.score);
+
+	const renamed = [];
+	const pairedFrom = new Set();
+	const pairedTo = new Set();
+	for (const candidate of candidates) {
+		if (pairedFrom.has(candidate.from.id) || pairedTo.has(candidate.to.id)) continue;
+		pairedFrom.add(candidate.from.id);
+		pairedTo.add(candidate.to.id);
+		renamed.push(candidate);
+	}
+
+	return {
+		added: added.filter((p) => !pairedTo.has(p.id)),
+		withdrawn: withdrawn.filter((p) => !pairedFrom.has(p.id)),
+		renamed,
+	};
+}
@@ -1,4 +1,7 @@
 // Date and string helpers translated from C# utility methods.
+import { foldName, normalizePlayerName } from './playerIdentity.js';
+
+const SUBSET_NAME_SCORE = 0.85;
 
 /**
  * Return the first Saturday of the month for the given date.
@@ -29,14 +32,80 @@ export function getActiveTournamentName(today = new Date()) {
 
 /**
  * Compose an image filename from a "Last, First" or plain name string.
- * Output is lowercased, spaces removed, with .png extension.
+ * Output is the normalized player key (see playerIdentity) with .png extension.
  * @param {string} name
  * @returns {string}
  */
 export function composeImageFileName(name) {
-	const parts = (name || '').split(',');
-	const sName = parts.length > 1 ? `${parts[1].trim()}${parts[0].trim()}` : name;
-	return `${(sName || '').replace(/\s+/g, '').toLowerCase()}.png`;
+	return `${normalizePlayerName(name)}.png`;
+}
+
+/**
+ * Human-readable age of a timestamp, e.g. "just now", "5 min ago", "3 h ago".
+ * @param {number} timestamp
+ * @param {number} now
+ * @returns {string}
+ */
+export function formatTimeAgo(timestamp, now = Date.now()) {
+	const minutes = Math.floor((now - timestamp) / 60000);
+	if (minutes < 1) return 'just now';
+	if (minutes < 60) return `${minutes} min ago`;
+	const hours = Math.floor(minutes / 60);
+	if (hours < 24) return `${hours} h ago`;
+	const days = Math.floor(hours / 24);
+	return `${days} ${days === 1 ? 'day' : 'days'} ago`;
+}
+
+/**
+ * Human-readable byte size, e.g. "512 B", "84 KB", "2.3 MB".
+ * @param {number} bytes
+ * @returns {string}
+ */
+export function formatBytes(bytes) {
+	if (!bytes) return '0 B';
+	if (bytes < 1024) return `${bytes} B`;
+	if (bytes < 1024 * 1024) return `${Math.round(bytes / 1024)} KB`;
+	return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+}
+
+/**
+ * Fuzzy similarity between two player names, from 0 (unrelated) to 1 (same).
+ * Case, punctuation and "Last, First" vs "First Last" ordering are ignored.
+ * @param {string} a
+ * @param {string} b
+ * @returns {number}
+ */
+export function nameSimilarity(a, b) {
+	const left = nameTokens(a);
+	const right = nameTokens(b);
+	if (!left || !right) return 0;
+	if (left === right) return 1;
+	const score = 1 - levenshtein(left, right) / Math.max(left.length, right.length);
+	// An added or dropped name part (e.g. a middle name or second surname) is still a strong match
+	const leftParts = left.split(' ');
+	const rightParts = right.split(' ');
+	const [shorter, longer] = leftParts.length <= rightParts.length ? [leftParts, rightParts] : [rightParts, leftParts];
+	const contained = shorter.length > 1 && shorter.every((part) => longer.includes(part));
+	return contained ? Math.max(score, SUBSET_NAME_SCORE) : score;
+}
+
+/**
+ * Manual players followed by roster players; manual entries win over roster rows
+ * with the same id and duplicates are dropped.
+ * @param {Array<{id: string|number}>} manualPlayers
+ * @param {Array<{id: string}>} rosterPlayers
+ * @returns {Array<object>}
+ */
+export function mergePlayers(manualPlayers, rosterPlayers) {
+	const seen = new Set();
+	const merged = [];
+	for (const player of [...manualPlayers, ...rosterPlayers]) {
+		const key = String(player.id);
+		if (seen.has(key)) continue;
+		seen.add(key);
+		merged.push(player);
+	}
+	return merged;
 }
 
 function formatYearMonth(d) {
@@ -50,3 +119,26 @@ function addMonths(date, months) {
 	d.setMonth(d.getMonth() + months);
 	return d;
 }
+
+// Apostrophes and hyphens join their parts, as in normalizePlayerName: "O'Brien" -> "obrien"
+function nameTokens(name) {
+	return foldName(name)
+		.replace(/['’-]+/g, '')
+		.split(/[^a-z0-9]+/)
+		.filter(Boolean)
+		.sort()
+		.join(' ');
+}
+
+function levenshtein(a, b) {
+	let prev = Array.from({ length: b.length + 1 }, (_, i) => i);
+	for (let i = 1; i <= a.length; i += 1) {
+		const row = [i];
+		for (let j = 1; j <= b.length; j += 1) {
+			const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+			row.push(Math.min(prev[j] + 1, row[j - 1] + 1, prev[j - 1] + cost));
+		}
+		prev = row;
+	}
+	return prev[b.length];
+}
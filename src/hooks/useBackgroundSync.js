@@ -1,41 +1,132 @@
-import { useEffect, useRef } from 'react';
-import { getPendingUploads, markUploaded } from '../storage/photoStore.js';
+import { useEffect, useRef, useState } from 'react';
+import { getPendingUploads, markUploaded, markUploadFailed, markUploading } from '../storage/photoStore.js';
+import { DEFAULT_SYNC_SETTINGS, getSyncSettings, hasStorageFolder, subscribeSyncSettings } from '../storage/settingsStore.js';
+import { getConnectivity, getSyncBlockReason, subscribeConnectivity } from '../services/connectivityService.js';
+import { getSession, subscribeAuth } from '../services/authService.js';
 
-const DEFAULT_INTERVAL_MS = 5 * 60 * 1000;
-
-export default function useBackgroundSync(uploader, intervalMs = DEFAULT_INTERVAL_MS) {
+/**
+ * Uploads pending photos while the app is open, every `intervalMinutes` from the
+ * sync settings. Respects pause and Wi-Fi-only, and waits for a signed-in
+ * volunteer and (with per-club/tournament folders) a selected tournament.
+ * Syncs as soon as the connection comes back or someone signs in.
+ * `blockedReason` says why sync is currently held back.
+ */
+export default function useBackgroundSync(uploader) {
   const timerRef = useRef(null);
+  const settingsRef = useRef(null);
+  const connectivityRef = useRef(null);
+  const signedInRef = useRef(false);
+  // Re-read before each run; the tournament is picked in Settings
+  const folderReadyRef = useRef(true);
+  const runningRef = useRef(false);
+  const [blockedReason, setBlockedReason] = useState(null);
 
   useEffect(() => {
-    startSync();
+    let active = true;
+    Promise.all([getSyncSettings(), getConnectivity(), getSession(), hasStorageFolder()]).then(([settings, connectivity, session, folderReady]) => {
+      if (!active) return;
+      settingsRef.current = settings;
+      connectivityRef.current = connectivity;
+      signedInRef.current = !!session;
+      folderReadyRef.current = folderReady;
+      schedule();
+      syncOnce();
+    }).catch((err) => {
+      console.warn('Background sync setup failed', err.message);
+      if (!active) return;
+      // Fall back to defaults so uploads still run; subscriptions correct them as changes come in
+      settingsRef.current = settingsRef.current || { ...DEFAULT_SYNC_SETTINGS };
+      connectivityRef.current = connectivityRef.current || { isConnected: true, isWifi: false };
+      schedule();
+    });
+
+    const unsubscribeSettings = subscribeSyncSettings((settings) => {
+      const wasBlocked = currentBlockReason() !== null;
+      settingsRef.current = settings;
+      schedule();
+      // Unpausing or turning off Wi-Fi-only should not wait for the next tick
+      if (wasBlocked) syncOnce();
+    });
+
+    const unsubscribeConnectivity = subscribeConnectivity((connectivity) => {
+      const wasBlocked = currentBlockReason() !== null;
+      connectivityRef.current = connectivity;
+      if (wasBlocked) syncOnce();
+      else updateBlockedReason();
+    });
+
+    const unsubscribeAuth = subscribeAuth((session) => {
+      const wasBlocked = currentBlockReason() !== null;
+      signedInRef.current = !!session;
+      if (wasBlocked) syncOnce();
+      else updateBlockedReason();
+    });
+
     return () => {
+      active = false;
+      unsubscribeSettings();
+      unsubscribeConnectivity();
+      unsubscribeAuth();
       if (timerRef.current) clearInterval(timerRef.current);
     };
   }, []);
 
-  async function startSync() {
-    await syncOnce();
-    timerRef.current = setInterval(syncOnce, intervalMs);
+  function currentBlockReason() {
+    if (!settingsRef.current || !connectivityRef.current) return null;
+    return getSyncBlockReason(settingsRef.current, connectivityRef.current, signedInRef.current, folderReadyRef.current);
+  }
+
+  function updateBlockedReason() {
+    const reason = currentBlockReason();
+    setBlockedReason(reason);
+    return reason;
+  }
+
+  function schedule() {
+    if (timerRef.current) clearInterval(timerRef.current);
+    timerRef.current = null;
+    const settings = settingsRef.current;
+    if (!settings || settings.paused) return;
+    timerRef.current = setInterval(syncOnce, settings.intervalMinutes * 60 * 1000);
   }
 
   async function syncOnce() {
-    if (!uploader) return;
+    if (!uploader || runningRef.current) return;
+    if (!settingsRef.current) return; // Still loading; the initial run follows
 
-    const pending = await getPendingUploads();
-    for (const filePath of pending) {
+    runningRef.current = true;
+    try {
       try {
-        const { dir, name } = splitPath(filePath);
-        const uploadedId = await uploader(dir, name);
-        if (uploadedId) {
-          await markUploaded(filePath);
-        }
+        folderReadyRef.current = await hasStorageFolder();
       } catch (err) {
-        console.warn('Background sync failed for', filePath, err.message);
+        console.warn('Could not check the storage folder', err.message);
+      }
+      if (updateBlockedReason()) return;
+
+      const pending = await getPendingUploads();
+      for (const filePath of pending) {
+        // Stop mid-run if the user paused or we lost the connection
+        if (currentBlockReason()) break;
+        const queuedAt = await markUploading(filePath);
+        try {
+          const { dir, name } = splitPath(filePath);
+          const uploadedId = await uploader(dir, name);
+          if (uploadedId) {
+            await markUploaded(filePath, queuedAt);
+          } else {
+            await markUploadFailed(filePath, 'Upload returned no result', queuedAt);
+          }
+        } catch (err) {
+          console.warn('Background sync failed for', filePath, err.message);
+          await markUploadFailed(filePath, err.message, queuedAt);
+        }
       }
+    } finally {
+      runningRef.current = false;
     }
   }
 
-  return { syncOnce };
+  return { syncOnce, blockedReason };
 }
 
 function splitPath(fullPath) {
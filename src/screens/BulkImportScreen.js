@@ -0,0 +1,447 @@
+import React, { useEffect, useMemo, useState } from 'react';
+import { View, Text, FlatList, Image, StyleSheet, Pressable, ActivityIndicator, Alert, TextInput } from 'react-native';
+import { SafeAreaView } from 'react-native-safe-area-context';
+import { getPlayers, describeOmnipongError } from '../services/omnipongService.js';
+import {
+  CAN_PICK_FOLDER,
+  clearImportCache,
+  importPhotos,
+  pickImportFolder,
+  pickImportImages,
+  pickImportZip,
+} from '../services/bulkImportService.js';
+import { getCachedRoster } from '../storage/rosterStore.js';
+import { identifyPlayers } from '../storage/aliasStore.js';
+import { photoExists } from '../storage/photoStore.js';
+import { matchPhotoFiles } from '../helpers/photoMatching.js';
+import { foldName } from '../helpers/playerIdentity.js';
+import { mergePlayers } from '../helpers/utils.js';
+
+const SEARCH_RESULT_LIMIT = 8;
+
+// Load a ZIP/folder of photos, review the file → player matches, then import the confirmed ones.
+export default function BulkImportScreen({ tournament, manualPlayers = [], onClose, onImported = () => {} }) {
+  const [players, setPlayers] = useState([]);
+  const [rosterNote, setRosterNote] = useState('');
+  const [rows, setRows] = useState(null);
+  const [busy, setBusy] = useState('');
+  const [editingIndex, setEditingIndex] = useState(null);
+  const [playerSearch, setPlayerSearch] = useState('');
+
+  useEffect(() => {
+    loadRoster();
+    // Extracted files are only needed while this screen is open
+    return () => {
+      clearImportCache().catch((err) => console.warn('Failed to clear import cache', err.message));
+    };
+  }, []);
+
+  async function loadRoster() {
+    try {
+      setBusy('Loading roster…');
+      let roster = [];
+      if (tournament) {
+        try {
+          roster = await getPlayers(tournament.omnipongUrl);
+        } catch (err) {
+          // Offline at the venue: match against the saved roster
+          const cached = await getCachedRoster(tournament);
+          roster = cached ? cached.players : [];
+          setRosterNote(`${describeOmnipongError(err)} ${cached ? 'Using the saved roster.' : 'Only manual players can be matched.'}`);
+        }
+      }
+      setPlayers(await identifyPlayers(mergePlayers(manualPlayers, roster)));
+    } catch (err) {
+      console.error('Failed to load roster for import:', err);
+      setRosterNote(`Could not load the roster: ${err.message}`);
+    } finally {
+      setBusy('');
+    }
+  }
+
+  async function handlePick(picker) {
+    try {
+      setBusy('Reading files…');
+      const files = await picker((done, total) => setBusy(`Reading files… ${done}/${total}`));
+      if (!files) return;
+      if (files.length === 0) {
+        Alert.alert('No Photos Found', 'Nothing in that selection looks like an image (.jpg, .png, .heic, .webp).');
+        return;
+      }
+      setBusy('Matching names…');
+      const matches = matchPhotoFiles(files.map((f) => f.fileName), players);
+      const withPhotos = await Promise.all(matches.map(async (match, index) => {
+        const hasPhoto = match.player ? Boolean(await photoExists(match.player)) : false;
+        // Never overwrite an existing photo unless the reviewer ticks it
+        return { ...match, uri: files[index].uri, hasPhoto, include: Boolean(match.player) && !hasPhoto };
+      }));
+      setRows(withPhotos);
+    } catch (err) {
+      console.error('Failed to read import files:', err);
+      Alert.alert('Import Failed', err.message);
+    } finally {
+      setBusy('');
+    }
+  }
+
+  async function assignPlayer(index, player) {
+    const hasPhoto = player ? Boolean(await photoExists(player)) : false;
+    setRows((prev) => prev.map((row, i) => {
+      if (i === index) return { ...row, player, score: player ? 1 : 0, hasPhoto, include: Boolean(player) };
+      // One photo per player: the file that had this player loses it
+      if (player && row.player && String(row.player.id) === String(player.id)) {
+        return { ...row, player: null, score: 0, hasPhoto: false, include: false };
+      }
+      return row;
+    }));
+    setEditingIndex(null);
+    setPlayerSearch('');
+  }
+
+  function toggleInclude(index) {
+    setRows((prev) => prev.map((row, i) => (i === index && row.player ? { ...row, include: !row.include } : row)));
+  }
+
+  const searchResults = useMemo(() => {
+    const query = foldName(playerSearch.trim());
+    if (!query) return [];
+    return players.filter((p) => foldName(p.name).includes(query)).slice(0, SEARCH_RESULT_LIMIT);
+  }, [players, playerSearch]);
+
+  const selectedRows = (rows || []).filter((row) => row.include && row.player);
+
+  async function handleImport() {
+    if (selectedRows.length === 0) return;
+    try {
+      setBusy('Importing…');
+      const { imported, failed } = await importPhotos(
+        selectedRows,
+        (done, total) => setBusy(`Importing… ${done}/${total}`),
+      );
+      onImported();
+      const lines = [`Imported ${imported} photo${imported === 1 ? '' : 's'}; they will upload with the next sync.`];
+      if (failed.length > 0) {
+        lines.push(`Failed (${failed.length}): ${failed.map((f) => f.fileName).join(', ')}`);
+      }
+      Alert.alert('Import Complete', lines.join('\n'));
+      onClose();
+    } catch (err) {
+      console.error('Bulk import failed:', err);
+      Alert.alert('Import Failed', err.message);
+    } finally {
+      setBusy('');
+    }
+  }
+
+  function renderRow({ item, index }) {
+    const editing = editingIndex === index;
+    const options = playerSearch.trim() ? searchResults : item.suggestions.map((s) => s.player);
+    return (
+      <View style={styles.card}>
+        <View style={styles.row}>
+          <Image source={{ uri: item.uri }} style={styles.thumb} />
+          <View style={styles.rowInfo}>
+            <Text style={styles.fileName} numberOfLines={1}>{item.fileName}</Text>
+            {item.player ? (
+              <Text style={styles.playerName} numberOfLines={1}>
+                → {item.player.name}{item.player.club ? ` (${item.player.club})` : ''}
+                <Text style={styles.score}>  {Math.round(item.score * 100)}%</Text>
+              </Text>
+            ) : (
+              <Text style={styles.noMatch}>No match</Text>
+            )}
+            {item.hasPhoto && <Text style={styles.replaces}>Replaces current photo (kept in history)</Text>}
+          </View>
+          <View style={styles.rowActions}>
+            <Pressable
+              style={[styles.includeButton, item.include && styles.includeButtonOn, !item.player && styles.includeButtonDisabled]}
+              onPress={() => toggleInclude(index)}
+              disabled={!item.player}
+            >
+              <Text style={styles.includeButtonText}>{item.include ? '✓' : ''}</Text>
+            </Pressable>
+            <Pressable
+              onPress={() => {
+                setEditingIndex(editing ? null : index);
+                setPlayerSearch('');
+              }}
+            >
+              <Text style={styles.changeText}>{editing ? 'Done' : 'Change'}</Text>
+            </Pressable>
+          </View>
+        </View>
+        {editing && (
+          <View style={styles.editor}>
+            <TextInput
+              style={styles.search}
+              placeholder="Search players"
+              placeholderTextColor="#64748b"
+              value={playerSearch}
+              onChangeText={setPlayerSearch}
+              autoCorrect={false}
+            />
+            {options.map((player) => (
+              <Pressable key={player.id} style={styles.option} onPress={() => assignPlayer(index, player)}>
+                <Text style={styles.optionText}>{player.name}{player.club ? ` (${player.club})` : ''}</Text>
+              </Pressable>
+            ))}
+            {item.player && (
+              <Pressable style={styles.option} onPress={() => assignPlayer(index, null)}>
+                <Text style={styles.noMatch}>Don't import this file</Text>
+              </Pressable>
+            )}
+          </View>
+        )}
+      </View>
+    );
+  }
+
+  const matchedCount = (rows || []).filter((row) => row.player).length;
+
+  return (
+    <SafeAreaView style={styles.container} edges={['top', 'bottom']}>
+      <View style={styles.header}>
+        <Text style={styles.title}>Bulk Import Photos</Text>
+        <Pressable onPress={onClose} style={styles.closeButton} disabled={Boolean(busy)}>
+          <Text style={styles.closeButtonText}>✕</Text>
+        </Pressable>
+      </View>
+      <Text style={styles.description}>
+        {rows
+          ? `${matchedCount} of ${rows.length} files matched. Ticked photos are imported; tap "Change" to fix a match.`
+          : 'Pick photos from a previous organizer. Files are matched to the roster by name ("seanobrien.jpg", "OBrien_Sean.png") and you review every match before anything is saved.'}
+      </Text>
+      {rosterNote ? <Text style={styles.note}>{rosterNote}</Text> : null}
+
+      {busy ? (
+        <View style={styles.emptyContainer}>
+          <ActivityIndicator size="large" color="#2563eb" />
+          <Text style={styles.emptySubtext}>{busy}</Text>
+        </View>
+      ) : !rows ? (
+        <View style={styles.emptyContainer}>
+          <Pressable style={styles.sourceButton} onPress={() => handlePick(pickImportZip)}>
+            <Text style={styles.sourceButtonText}>🗜 Choose ZIP</Text>
+          </Pressable>
+          {CAN_PICK_FOLDER && (
+            <Pressable style={styles.sourceButton} onPress={() => handlePick(pickImportFolder)}>
+              <Text style={styles.sourceButtonText}>📂 Choose Folder</Text>
+            </Pressable>
+          )}
+          <Pressable style={styles.sourceButton} onPress={() => handlePick(pickImportImages)}>
+            <Text style={styles.sourceButtonText}>🖼 Choose Images</Text>
+          </Pressable>
+        </View>
+      ) : (
+        <>
+          <FlatList
+            data={rows}
+            renderItem={renderRow}
+            keyExtractor={(item) => item.uri}
+            contentContainerStyle={styles.list}
+            keyboardShouldPersistTaps="handled"
+          />
+          <View style={styles.footer}>
+            <Pressable
+              style={[styles.importButton, selectedRows.length === 0 && styles.importButtonDisabled]}
+              onPress={handleImport}
+              disabled={selectedRows.length === 0}
+            >
+              <Text style={styles.importButtonText}>
+                Import {selectedRows.length} Photo{selectedRows.length === 1 ? '' : 's'}
+              </Text>
+            </Pressable>
+          </View>
+        </>
+      )}
+    </SafeAreaView>
+  );
+}
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: '#0f172a',
+  },
+  header: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    paddingHorizontal: 16,
+    paddingTop: 35,
+    paddingBottom: 12,
+    borderBottomWidth: 1,
+    borderBottomColor: '#1e293b',
+  },
+  title: {
+    color: '#e2e8f0',
+    fontSize: 20,
+    fontWeight: '700',
+  },
+  closeButton: {
+    width: 36,
+    height: 36,
+    borderRadius: 18,
+    backgroundColor: '#1e293b',
+    justifyContent: 'center',
+    alignItems: 'center',
+  },
+  closeButtonText: {
+    color: '#e2e8f0',
+    fontSize: 20,
+    fontWeight: '700',
+  },
+  description: {
+    color: '#94a3b8',
+    fontSize: 13,
+    paddingHorizontal: 16,
+    paddingTop: 12,
+  },
+  note: {
+    color: '#fbbf24',
+    fontSize: 12,
+    paddingHorizontal: 16,
+    paddingTop: 6,
+  },
+  emptyContainer: {
+    flex: 1,
+    justifyContent: 'center',
+    alignItems: 'center',
+    paddingHorizontal: 32,
+    gap: 12,
+  },
+  emptySubtext: {
+    color: '#94a3b8',
+    fontSize: 14,
+    textAlign: 'center',
+  },
+  sourceButton: {
+    alignSelf: 'stretch',
+    backgroundColor: '#2563eb',
+    paddingVertical: 14,
+    borderRadius: 10,
+    alignItems: 'center',
+  },
+  sourceButtonText: {
+    color: '#e2e8f0',
+    fontWeight: '700',
+    fontSize: 15,
+  },
+  list: {
+    padding: 16,
+    gap: 10,
+  },
+  card: {
+    backgroundColor: '#1e293b',
+    borderRadius: 8,
+    padding: 10,
+  },
+  row: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: 10,
+  },
+  thumb: {
+    width: 56,
+    height: 56,
+    borderRadius: 6,
+    backgroundColor: '#0f172a',
+  },
+  rowInfo: {
+    flex: 1,
+  },
+  fileName: {
+    color: '#94a3b8',
+    fontSize: 12,
+  },
+  playerName: {
+    color: '#e2e8f0',
+    fontSize: 15,
+    fontWeight: '600',
+  },
+  score: {
+    color: '#64748b',
+    fontSize: 12,
+    fontWeight: '400',
+  },
+  noMatch: {
+    color: '#f87171',
+    fontSize: 14,
+  },
+  replaces: {
+    color: '#fbbf24',
+    fontSize: 12,
+  },
+  rowActions: {
+    alignItems: 'center',
+    gap: 6,
+  },
+  includeButton: {
+    width: 28,
+    height: 28,
+    borderRadius: 6,
+    borderWidth: 2,
+    borderColor: '#38bdf8',
+    justifyContent: 'center',
+    alignItems: 'center',
+  },
+  includeButtonOn: {
+    backgroundColor: '#2563eb',
+    borderColor: '#2563eb',
+  },
+  includeButtonDisabled: {
+    borderColor: '#334155',
+  },
+  includeButtonText: {
+    color: '#e2e8f0',
+    fontWeight: '700',
+  },
+  changeText: {
+    color: '#38bdf8',
+    fontSize: 12,
+    fontWeight: '600',
+  },
+  editor: {
+    marginTop: 10,
+    gap: 4,
+  },
+  search: {
+    backgroundColor: '#0f172a',
+    color: '#e2e8f0',
+    borderRadius: 8,
+    paddingHorizontal: 12,
+    paddingVertical: 8,
+    borderWidth: 1,
+    borderColor: '#334155',
+    marginBottom: 4,
+  },
+  option: {
+    paddingVertical: 8,
+    paddingHorizontal: 4,
+    borderBottomWidth: 1,
+    borderBottomColor: '#334155',
+  },
+  optionText: {
+    color: '#e2e8f0',
+    fontSize: 14,
+  },
+  footer: {
+    padding: 16,
+    borderTopWidth: 1,
+    borderTopColor: '#1e293b',
+  },
+  importButton: {
+    backgroundColor: '#16a34a',
+    paddingVertical: 14,
+    borderRadius: 10,
+    alignItems: 'center',
+  },
+  importButtonDisabled: {
+    backgroundColor: '#1f2937',
+  },
+  importButtonText: {
+    color: '#e2e8f0',
+    fontWeight: '700',
+    fontSize: 15,
+  },
+});
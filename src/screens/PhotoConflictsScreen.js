@@ -0,0 +1,261 @@
+import React, { useEffect, useState } from 'react';
+import { View, Text, FlatList, Image, StyleSheet, Pressable, ActivityIndicator, Alert } from 'react-native';
+import { SafeAreaView } from 'react-native-safe-area-context';
+import { PHOTO_CONFLICT, findPhotoConflicts, resolvePhotoConflict } from '../services/supabaseService.js';
+import { formatTimeAgo } from '../helpers/utils.js';
+
+const CONFLICT_LABELS = {
+  [PHOTO_CONFLICT.REMOTE_NEWER]: 'Remote is newer',
+  [PHOTO_CONFLICT.LOCAL_NEWER]: 'Local is newer',
+  [PHOTO_CONFLICT.BOTH_CHANGED]: 'Both changed',
+};
+
+export default function PhotoConflictsScreen({ onClose, onResolved = () => {} }) {
+  const [conflicts, setConflicts] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [resolving, setResolving] = useState(null);
+
+  useEffect(() => {
+    loadConflicts();
+  }, []);
+
+  async function loadConflicts() {
+    try {
+      setLoading(true);
+      setError(null);
+      setConflicts(await findPhotoConflicts());
+    } catch (err) {
+      console.error('Failed to check conflicts:', err);
+      setError(err.message);
+    } finally {
+      setLoading(false);
+    }
+  }
+
+  async function handleKeep(conflict, keep) {
+    setResolving(conflict.fileName);
+    try {
+      await resolvePhotoConflict(conflict, keep);
+      setConflicts((prev) => prev.filter((c) => c.fileName !== conflict.fileName));
+      onResolved();
+    } catch (err) {
+      console.error('Failed to resolve conflict:', err);
+      Alert.alert('Error', `Could not keep the ${keep} photo: ${err.message}`);
+    } finally {
+      setResolving(null);
+    }
+  }
+
+  function renderConflict({ item }) {
+    const busy = resolving === item.fileName;
+    return (
+      <View style={styles.card}>
+        <View style={styles.cardHeader}>
+          <Text style={styles.fileName} numberOfLines={1}>{item.fileName}</Text>
+          <Text style={[styles.kind, item.kind === PHOTO_CONFLICT.BOTH_CHANGED && styles.kindBoth]}>
+            {CONFLICT_LABELS[item.kind]}
+          </Text>
+        </View>
+        <View style={styles.sides}>
+          <View style={styles.side}>
+            <Image source={{ uri: item.localPath }} style={styles.preview} />
+            <Text style={styles.sideLabel}>This device</Text>
+            <Text style={styles.sideTime}>{item.localModifiedAt ? formatTimeAgo(item.localModifiedAt) : 'unknown'}</Text>
+            <Pressable
+              style={[styles.keepButton, busy && styles.keepButtonDisabled]}
+              onPress={() => handleKeep(item, 'local')}
+              disabled={busy}
+            >
+              <Text style={styles.keepButtonText}>Keep this</Text>
+            </Pressable>
+          </View>
+          <View style={styles.side}>
+            <Image source={item.remoteImage} style={styles.preview} />
+            <Text style={styles.sideLabel}>Supabase</Text>
+            <Text style={styles.sideTime}>{item.remoteUpdatedAt ? formatTimeAgo(item.remoteUpdatedAt) : 'unknown'}</Text>
+            <Pressable
+              style={[styles.keepButton, busy && styles.keepButtonDisabled]}
+              onPress={() => handleKeep(item, 'remote')}
+              disabled={busy}
+            >
+              <Text style={styles.keepButtonText}>Keep this</Text>
+            </Pressable>
+          </View>
+        </View>
+        {busy && <ActivityIndicator color="#2563eb" style={styles.busy} />}
+      </View>
+    );
+  }
+
+  return (
+    <SafeAreaView style={styles.container} edges={['top', 'bottom']}>
+      <View style={styles.header}>
+        <Text style={styles.title}>Photo Conflicts ({conflicts.length})</Text>
+        <Pressable onPress={onClose} style={styles.closeButton}>
+          <Text style={styles.closeButtonText}>✕</Text>
+        </Pressable>
+      </View>
+      <Text style={styles.description}>
+        The version you don't keep is moved to history, so it can still be restored.
+      </Text>
+
+      {loading ? (
+        <View style={styles.emptyContainer}>
+          <ActivityIndicator size="large" color="#2563eb" />
+        </View>
+      ) : error ? (
+        <View style={styles.emptyContainer}>
+          <Text style={styles.emptyText}>Could not compare photos</Text>
+          <Text style={styles.emptySubtext}>{error}</Text>
+          <Pressable style={styles.keepButton} onPress={loadConflicts}>
+            <Text style={styles.keepButtonText}>Retry</Text>
+          </Pressable>
+        </View>
+      ) : conflicts.length === 0 ? (
+        <View style={styles.emptyContainer}>
+          <Text style={styles.emptyText}>No conflicts</Text>
+          <Text style={styles.emptySubtext}>Local and Supabase photos match</Text>
+        </View>
+      ) : (
+        <FlatList
+          data={conflicts}
+          renderItem={renderConflict}
+          keyExtractor={(item) => item.fileName}
+          contentContainerStyle={styles.list}
+        />
+      )}
+    </SafeAreaView>
+  );
+}
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: '#0f172a',
+  },
+  header: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    paddingHorizontal: 16,
+    paddingTop: 35,
+    paddingBottom: 12,
+    borderBottomWidth: 1,
+    borderBottomColor: '#1e293b',
+  },
+  title: {
+    color: '#e2e8f0',
+    fontSize: 20,
+    fontWeight: '700',
+  },
+  closeButton: {
+    width: 36,
+    height: 36,
+    borderRadius: 18,
+    backgroundColor: '#1e293b',
+    justifyContent: 'center',
+    alignItems: 'center',
+  },
+  closeButtonText: {
+    color: '#e2e8f0',
+    fontSize: 20,
+    fontWeight: '700',
+  },
+  description: {
+    color: '#94a3b8',
+    fontSize: 13,
+    paddingHorizontal: 16,
+    paddingTop: 12,
+  },
+  emptyContainer: {
+    flex: 1,
+    justifyContent: 'center',
+    alignItems: 'center',
+    paddingHorizontal: 32,
+    gap: 8,
+  },
+  emptyText: {
+    color: '#e2e8f0',
+    fontSize: 18,
+    fontWeight: '600',
+  },
+  emptySubtext: {
+    color: '#94a3b8',
+    fontSize: 14,
+    textAlign: 'center',
+  },
+  list: {
+    padding: 16,
+    gap: 12,
+  },
+  card: {
+    backgroundColor: '#1e293b',
+    borderRadius: 8,
+    padding: 12,
+  },
+  cardHeader: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    marginBottom: 8,
+  },
+  fileName: {
+    color: '#e2e8f0',
+    fontSize: 15,
+    fontWeight: '600',
+    flex: 1,
+    marginRight: 8,
+  },
+  kind: {
+    color: '#fbbf24',
+    fontSize: 12,
+    fontWeight: '700',
+  },
+  kindBoth: {
+    color: '#f87171',
+  },
+  sides: {
+    flexDirection: 'row',
+    gap: 12,
+  },
+  side: {
+    flex: 1,
+    alignItems: 'center',
+  },
+  preview: {
+    width: '100%',
+    aspectRatio: 1,
+    borderRadius: 6,
+    backgroundColor: '#0f172a',
+  },
+  sideLabel: {
+    color: '#e2e8f0',
+    fontSize: 13,
+    fontWeight: '600',
+    marginTop: 6,
+  },
+  sideTime: {
+    color: '#94a3b8',
+    fontSize: 12,
+  },
+  keepButton: {
+    backgroundColor: '#2563eb',
+    paddingVertical: 8,
+    paddingHorizontal: 16,
+    borderRadius: 8,
+    marginTop: 8,
+    alignItems: 'center',
+  },
+  keepButtonDisabled: {
+    backgroundColor: '#1f2937',
+  },
+  keepButtonText: {
+    color: '#e2e8f0',
+    fontWeight: '700',
+    fontSize: 14,
+  },
+  busy: {
+    marginTop: 8,
+  },
+});
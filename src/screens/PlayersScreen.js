@@ -1,19 +1,32 @@
 import React, { useEffect, useMemo, useRef, useState } from 'react';
-import { ActivityIndicator, FlatList, Image, Keyboard, Modal, Pressable, StyleSheet, Text, TextInput, View, Dimensions, Animated, PanResponder, Alert } from 'react-native';
+import { ActivityIndicator, FlatList, Image, Keyboard, Modal, Pressable, ScrollView, StyleSheet, Text, TextInput, View, Alert } from 'react-native';
 import { CameraView, useCameraPermissions } from 'expo-camera';
-import * as ImageManipulator from 'expo-image-manipulator';
+import * as ImagePicker from 'expo-image-picker';
+import * as DocumentPicker from 'expo-document-picker';
 import AsyncStorage from '@react-native-async-storage/async-storage';
-import { getPlayers, getTournaments } from '../services/omnipongService.js';
-import { getActiveTournamentName } from '../helpers/utils.js';
-import { photoExists, savePhoto, markUploaded } from '../storage/photoStore.js';
+import { getPlayers, getTournaments, describeOmnipongError, OMNIPONG_ERROR } from '../services/omnipongService.js';
+import { getActiveTournamentName, formatTimeAgo, mergePlayers } from '../helpers/utils.js';
+import { foldName } from '../helpers/playerIdentity.js';
+import { photoExists, savePhoto, markUploaded, listPhotoVersions, restorePhotoVersion } from '../storage/photoStore.js';
+import { getCachedRoster, getLastDownload, getLastRosterTournament, saveRoster } from '../storage/rosterStore.js';
+import { identifyPlayers } from '../storage/aliasStore.js';
+import { getSelectedTournament, getTournamentSearch, selectTournament } from '../storage/settingsStore.js';
 import useBackgroundSync from '../hooks/useBackgroundSync.js';
 import { uploadSinglePhoto, hasSupabaseConfig } from '../services/supabaseService.js';
+import { describeSyncBlock, SYNC_BLOCK } from '../services/connectivityService.js';
+import { getSession } from '../services/authService.js';
+import { describeFaceResult, detectFaces, faceCropSquare } from '../services/faceDetectionService.js';
+import { assessPhotoQuality, describeQualityIssues } from '../services/photoQualityService.js';
 import SettingsScreen from './SettingsScreen.js';
 import PhotoBrowserScreen from './PhotoBrowserScreen.js';
+import TournamentSwitcher from '../components/TournamentSwitcher.js';
+import CropEditor from '../components/CropEditor.js';
+import { boxToImageCrop } from '../helpers/cropGeometry.js';
 
-const SCREEN_WIDTH = Dimensions.get('window').width;
-const SELECTED_TOURNAMENT_KEY = '@selected_tournament';
 const MANUAL_PLAYERS_KEY = '@manual_players';
+const BANNER_TICK_MS = 60 * 1000;
+// iOS drops a modal presented while another is still dismissing
+const QUEUE_NEXT_DELAY_MS = 400;
 
 export default function PlayersScreen() {
   const [loading, setLoading] = useState(true);
@@ -21,124 +34,192 @@ export default function PlayersScreen() {
   const [search, setSearch] = useState('');
   const [selected, setSelected] = useState(null);
   const [selectedPhotoUri, setSelectedPhotoUri] = useState(null);
+  const [photoVersions, setPhotoVersions] = useState([]);
   const [playerPhotos, setPlayerPhotos] = useState({});
+  const [photosLoading, setPhotosLoading] = useState(false);
   const [cameraVisible, setCameraVisible] = useState(false);
   const [cameraType, setCameraType] = useState('back');
   const [capturedUri, setCapturedUri] = useState(null);
-  const [cropPosition, setCropPosition] = useState({ x: 0, y: 0 });
+  const [faceCrop, setFaceCrop] = useState(null);
+  const [faceNotice, setFaceNotice] = useState('');
+  const [detectingFace, setDetectingFace] = useState(false);
+  const [checkingQuality, setCheckingQuality] = useState(false);
   const [cameraPermission, requestCameraPermission] = useCameraPermissions();
   const [showSettings, setShowSettings] = useState(false);
   const [showPhotoBrowser, setShowPhotoBrowser] = useState(false);
+  const [currentTournament, setCurrentTournament] = useState(null);
+  const [rosterFetchedAt, setRosterFetchedAt] = useState(null);
+  const [rosterError, setRosterError] = useState(null);
+  const [refreshing, setRefreshing] = useState(false);
+  const [now, setNow] = useState(Date.now());
+  const [newPlayerIds, setNewPlayerIds] = useState(new Set());
+  const [showNewOnly, setShowNewOnly] = useState(false);
+  const [queue, setQueue] = useState(null);
 
   const cameraRef = useRef(null);
-  const translateX = useRef(new Animated.Value(0)).current;
-  const translateY = useRef(new Animated.Value(0)).current;
-  const panResponder = useRef(
-    PanResponder.create({
-      onStartShouldSetPanResponder: () => true,
-      onPanResponderMove: (_, gestureState) => {
-        translateX.setValue(gestureState.dx);
-        translateY.setValue(gestureState.dy);
-      },
-      onPanResponderRelease: (_, gestureState) => {
-        const cropSize = SCREEN_WIDTH - 64;
-        const displayWidth = SCREEN_WIDTH - 32;
-        const aspectRatio = imageSize.current.width / imageSize.current.height;
-        const displayHeight = displayWidth / aspectRatio;
-        
-        const newX = Math.max(0, Math.min(gestureState.dx + cropPositionRef.current.x, displayWidth - cropSize));
-        const newY = Math.max(0, Math.min(gestureState.dy + cropPositionRef.current.y, displayHeight - cropSize));
-        
-        setCropPosition({ x: newX, y: newY });
-        cropPositionRef.current = { x: newX, y: newY };
-        translateX.setValue(0);
-        translateY.setValue(0);
-      },
-    })
-  ).current;
-  const cropPositionRef = useRef({ x: 0, y: 0 });
+  // Latest `{ box, transform }` from the crop editor
+  const cropStateRef = useRef(null);
+  const capturedUriRef = useRef(null);
+  // Where the photo in the crop editor came from: 'camera' | 'library' | 'file'
+  const cropSourceRef = useRef('camera');
   const imageSize = useRef({ width: 0, height: 0 });
-  const { syncOnce } = useBackgroundSync(uploadSinglePhoto);
+  // Bumped on every roster load, so a fetch for a tournament switched away from is dropped
+  const rosterRequestRef = useRef(0);
+  // Gated by the sync settings (pause, Wi-Fi only), including the syncOnce after each capture
+  const { syncOnce, blockedReason } = useBackgroundSync(uploadSinglePhoto);
 
   useEffect(() => {
     loadPlayers();
   }, []);
 
+  useEffect(() => {
+    capturedUriRef.current = capturedUri;
+  }, [capturedUri]);
+
+  // Keep the "last updated" banner current
+  useEffect(() => {
+    const timer = setInterval(() => setNow(Date.now()), BANNER_TICK_MS);
+    return () => clearInterval(timer);
+  }, []);
+
   useEffect(() => {
     if (!selected) return;
     (async () => {
-      const uri = await photoExists(selected.name);
+      const uri = await photoExists(selected);
       setSelectedPhotoUri(uri);
     })();
+    loadPhotoVersions(selected);
   }, [selected]);
 
   // Load photos for all players
   useEffect(() => {
     if (players.length === 0) return;
     console.log('PlayersScreen: Loading photos for', players.length, 'players');
+    // A newer roster starts its own load; this one must not overwrite it
+    let active = true;
+    setPhotosLoading(true);
     (async () => {
-      const photos = {};
-      for (const player of players) {
-        const uri = await photoExists(player.name);
-        if (uri) {
-          console.log('  ✓ Found photo for:', player.name, '→', uri);
-          photos[player.name] = uri;
-        } else {
-          console.log('  ✗ No photo for:', player.name);
+      try {
+        const photos = {};
+        for (const player of players) {
+          const uri = await photoExists(player);
+          if (uri) {
+            console.log('  ✓ Found photo for:', player.name, '→', uri);
+            photos[player.id] = uri;
+          } else {
+            console.log('  ✗ No photo for:', player.name);
+          }
         }
+        if (!active) return;
+        console.log('PlayersScreen: Loaded', Object.keys(photos).length, 'photos');
+        setPlayerPhotos(photos);
+      } catch (err) {
+        console.error('Failed to load player photos:', err.message);
+      } finally {
+        if (active) setPhotosLoading(false);
       }
-      console.log('PlayersScreen: Loaded', Object.keys(photos).length, 'photos');
-      setPlayerPhotos(photos);
     })();
+    return () => {
+      active = false;
+    };
   }, [players]);
 
   const filtered = useMemo(() => {
-    const term = search.trim().toLowerCase();
-    if (!term) return players;
-    return players.filter((p) => p.name.toLowerCase().includes(term));
-  }, [players, search]);
+    // Folded so "jose" finds "José"
+    const term = foldName(search.trim());
+    const pool = showNewOnly && newPlayerIds.size > 0 ? players.filter((p) => newPlayerIds.has(String(p.id))) : players;
+    if (!term) return pool;
+    return pool.filter((p) => foldName(p.name).includes(term));
+  }, [players, search, showNewOnly, newPlayerIds]);
 
   async function loadPlayers() {
+    const request = ++rosterRequestRef.current;
+    const isStale = () => request !== rosterRequestRef.current;
     try {
       setLoading(true);
-      
+
       // Get selected tournament from settings
-      const selectedTournamentData = await AsyncStorage.getItem(SELECTED_TOURNAMENT_KEY);
-      let selectedTournament = null;
-      
-      if (selectedTournamentData) {
-        selectedTournament = JSON.parse(selectedTournamentData);
-      }
-      
-      // Load omnipong players
-      let omnipongPlayers = [];
-      if (selectedTournament) {
-        // Use the selected tournament
-        omnipongPlayers = await getPlayers(selectedTournament.omnipongUrl);
-      } else {
-        // Fall back to auto-detection
-        const tournaments = await getTournaments();
-        if (tournaments.length > 0) {
-          const activeName = getActiveTournamentName();
-          const tourney = tournaments.find((t) => t.name.includes(activeName)) || tournaments[0];
-          omnipongPlayers = await getPlayers(tourney.omnipongUrl);
-        }
-      }
-      
+      const selectedTournament = await getSelectedTournament();
+
       // Load manual players
       const manualPlayersData = await AsyncStorage.getItem(MANUAL_PLAYERS_KEY);
       let manualPlayers = [];
       if (manualPlayersData) {
         manualPlayers = JSON.parse(manualPlayersData);
       }
-      
+
+      // Show the cached roster right away, then refresh it in the background
+      const rosterTournament = selectedTournament || (await getLastRosterTournament());
+      const cached = await getCachedRoster(rosterTournament);
+      const cachedPlayers = await identifyPlayers(mergePlayers(manualPlayers, cached?.players || []));
+      if (isStale()) return;
+      setCurrentTournament(rosterTournament);
+      setPlayers(cachedPlayers);
+      setRosterFetchedAt(cached?.fetchedAt || null);
+      await loadNewPlayerIds(rosterTournament, isStale);
+      if (isStale()) return;
+      setLoading(false);
+
+      refreshRoster(selectedTournament, manualPlayers, isStale);
+    } catch (err) {
+      console.error('Failed to load players', err.message);
+      if (!isStale()) setLoading(false);
+    }
+  }
+
+  // Players added by the most recent "Download Players" in Settings
+  async function loadNewPlayerIds(tournament, isStale) {
+    const download = await getLastDownload(tournament);
+    if (isStale()) return;
+    const added = download?.diff?.added || [];
+    setNewPlayerIds(new Set(added.map((p) => String(p.id))));
+  }
+
+  async function refreshRoster(selectedTournament, manualPlayers, isStale) {
+    try {
+      setRefreshing(true);
+      let tournament = selectedTournament;
+      if (!tournament) {
+        // Fall back to auto-detection; past events are never "active"
+        const search = await getTournamentSearch();
+        const tournaments = await getTournaments({ ...search, includePast: false });
+        if (tournaments.length === 0) {
+          throw new Error('No upcoming tournaments found on Omnipong');
+        }
+        const activeName = getActiveTournamentName();
+        tournament = tournaments.find((t) => t.name.includes(activeName)) || tournaments[0];
+      }
+
+      const omnipongPlayers = await getPlayers(tournament.omnipongUrl);
+      // Still cached for its own tournament even if the user has switched away
+      const entry = await saveRoster(tournament, omnipongPlayers);
       // Merge players (manual players first, then omnipong)
-      const merged = [...manualPlayers, ...omnipongPlayers];
+      const merged = await identifyPlayers(mergePlayers(manualPlayers, omnipongPlayers));
+      if (isStale()) return;
+      setCurrentTournament(tournament);
+      if (!selectedTournament) await loadNewPlayerIds(tournament, isStale);
+      if (isStale()) return;
+
       setPlayers(merged);
+      setRosterFetchedAt(entry.fetchedAt);
+      setRosterError(null);
     } catch (err) {
-      console.error('Failed to load players', err.message);
+      console.warn('Roster refresh failed, keeping cached roster:', err.message);
+      if (!isStale()) setRosterError(err);
     } finally {
-      setLoading(false);
+      if (!isStale()) setRefreshing(false);
+    }
+  }
+
+  async function switchTournament(tournament) {
+    try {
+      await selectTournament(tournament);
+      setSelected(null);
+      setShowNewOnly(false);
+      setRosterError(null);
+      await loadPlayers();
+    } catch (err) {
+      console.error('Failed to switch tournament', err.message);
     }
   }
 
@@ -160,72 +241,235 @@ export default function PlayersScreen() {
     try {
       const raw = await cameraRef.current.takePictureAsync({ quality: 0.8, skipProcessing: true });
       setCameraVisible(false);
-      
-      // Get image dimensions
-      Image.getSize(raw.uri, (width, height) => {
-        imageSize.current = { width, height };
-        setCapturedUri(raw.uri);
-        // Center the crop box initially
-        const cropSize = SCREEN_WIDTH - 64;
-        const displayWidth = SCREEN_WIDTH - 32;
-        const aspectRatio = width / height;
-        const displayHeight = displayWidth / aspectRatio;
-        const initialX = (displayWidth - cropSize) / 2;
-        const initialY = (displayHeight - cropSize) / 2;
-        setCropPosition({ x: initialX, y: initialY });
-        cropPositionRef.current = { x: initialX, y: initialY };
-        translateX.setValue(0);
-        translateY.setValue(0);
-      });
+      cropSourceRef.current = 'camera';
+      openCropEditor(raw.uri);
     } catch (err) {
       console.error('Capture failed', err.message);
     }
   }
 
+  // Captured and imported photos share the crop editor, quality check and savePhoto
+  function openCropEditor(uri) {
+    Image.getSize(uri, (width, height) => {
+      imageSize.current = { width, height };
+      cropStateRef.current = null;
+      setFaceCrop(null);
+      setFaceNotice('');
+      setCapturedUri(uri);
+      // The editor opens centered and moves onto the face once detection finishes
+      centerCropOnFace(uri);
+    }, (err) => {
+      console.error('Could not read image size', err?.message);
+      Alert.alert('Import Failed', 'That file could not be opened as an image.');
+    });
+  }
+
+  async function handlePickFromLibrary() {
+    if (!selected) return;
+    try {
+      const result = await ImagePicker.launchImageLibraryAsync({ mediaTypes: ['images'], quality: 1 });
+      if (result.canceled || !result.assets?.length) return;
+      cropSourceRef.current = 'library';
+      openCropEditor(result.assets[0].uri);
+    } catch (err) {
+      console.error('Library pick failed', err.message);
+      Alert.alert('Import Failed', err.message);
+    }
+  }
+
+  async function handleImportFile() {
+    if (!selected) return;
+    try {
+      // Copy into the cache so the crop editor and ImageManipulator can read it
+      const result = await DocumentPicker.getDocumentAsync({ type: 'image/*', copyToCacheDirectory: true });
+      if (result.canceled || !result.assets?.length) return;
+      cropSourceRef.current = 'file';
+      openCropEditor(result.assets[0].uri);
+    } catch (err) {
+      console.error('File import failed', err.message);
+      Alert.alert('Import Failed', err.message);
+    }
+  }
+
+  async function centerCropOnFace(uri) {
+    setDetectingFace(true);
+    const faces = await detectFaces(uri);
+    setDetectingFace(false);
+    // The volunteer may have cancelled or retaken while detection ran
+    if (capturedUriRef.current !== uri) return;
+    setFaceNotice(describeFaceResult(faces));
+    if (faces && faces.length > 0) setFaceCrop(faceCropSquare(faces[0], imageSize.current));
+  }
+
   async function handleCropConfirm() {
-    if (!capturedUri || !selected) return;
+    if (!capturedUri || !selected || !cropStateRef.current) return;
     
+    // The editor's box is in view points over a zoomed/panned image; map it back to image pixels
+    const { box, transform } = cropStateRef.current;
+    const crop = boxToImageCrop(box, transform, imageSize.current);
+
+    let quality = null;
     try {
-      // Calculate crop based on dragged position
-      const cropSize = SCREEN_WIDTH - 64;
-      const displayWidth = SCREEN_WIDTH - 32;
-      const aspectRatio = imageSize.current.width / imageSize.current.height;
-      const displayHeight = displayWidth / aspectRatio;
-      
-      // Convert screen coordinates to image coordinates
-      const scaleX = imageSize.current.width / displayWidth;
-      const scaleY = imageSize.current.height / displayHeight;
-      
-      const originX = Math.max(0, Math.min(cropPosition.x * scaleX, imageSize.current.width - cropSize * scaleX));
-      const originY = Math.max(0, Math.min(cropPosition.y * scaleY, imageSize.current.height - cropSize * scaleY));
-      const size = cropSize * scaleX;
-      
-      const cropped = await ImageManipulator.manipulateAsync(
-        capturedUri,
+      setCheckingQuality(true);
+      quality = await assessPhotoQuality(capturedUri, crop);
+    } catch (err) {
+      // A failed check must not cost the photo; it is saved unscored
+      console.warn('Quality check failed', err.message);
+    } finally {
+      setCheckingQuality(false);
+    }
+
+    if (quality && quality.issues.length > 0) {
+      const fromCamera = cropSourceRef.current === 'camera';
+      Alert.alert(
+        'Photo Quality',
+        `${describeQualityIssues(quality.issues)} (score ${quality.score}/100). ${fromCamera ? 'Retake now while the player is still here?' : 'Choose a different photo?'}`,
         [
-          {
-            crop: {
-              originX,
-              originY,
-              width: size,
-              height: size,
-            },
-          },
-        ],
-        { compress: 0.9, format: ImageManipulator.SaveFormat.PNG }
+          { text: fromCamera ? 'Retake' : 'Choose Another', onPress: handleRetake },
+          { text: 'Keep Anyway', onPress: () => saveCroppedPhoto(crop, quality) },
+        ]
       );
-      
-      const savedPath = await savePhoto(selected.name, cropped.uri);
+      return;
+    }
+    await saveCroppedPhoto(crop, quality);
+  }
+
+  async function saveCroppedPhoto(crop, quality) {
+    try {
+      // photoStore encodes with the photo policy (format, quality, max size)
+      const savedPath = await savePhoto(selected, capturedUri, [{ crop }], { quality });
       setSelectedPhotoUri(savedPath);
+      setPlayerPhotos(prev => ({
+        ...prev,
+        [selected.id]: savedPath
+      }));
       setCapturedUri(null);
+      loadPhotoVersions(selected);
+      if (queue) advanceQueue('captured');
       await syncOnce();
     } catch (err) {
       console.error('Crop failed', err.message);
     }
   }
 
+  function handleRetake() {
+    setCapturedUri(null);
+    // Go back to wherever the photo came from
+    const reopen = {
+      camera: () => setCameraVisible(true),
+      library: handlePickFromLibrary,
+      file: handleImportFile,
+    }[cropSourceRef.current];
+    setTimeout(reopen, QUEUE_NEXT_DELAY_MS);
+  }
+
+  async function loadPhotoVersions(player) {
+    try {
+      setPhotoVersions(await listPhotoVersions(player));
+    } catch (err) {
+      console.warn('Failed to load photo history', err.message);
+      setPhotoVersions([]);
+    }
+  }
+
+  function confirmRestoreVersion(version) {
+    if (!selected) return;
+    const player = selected;
+    Alert.alert(
+      'Restore Photo',
+      `Use the photo from ${new Date(version.savedAt).toLocaleString()}? The current photo is kept in history.`,
+      [
+        { text: 'Cancel', style: 'cancel' },
+        {
+          text: 'Restore',
+          onPress: async () => {
+            try {
+              const savedPath = await restorePhotoVersion(player, version.uri);
+              setSelectedPhotoUri(savedPath);
+              setPlayerPhotos(prev => ({
+                ...prev,
+                [player.id]: savedPath
+              }));
+              await loadPhotoVersions(player);
+              await syncOnce();
+            } catch (err) {
+              console.error('Restore failed', err.message);
+              Alert.alert('Error', 'Failed to restore photo: ' + err.message);
+            }
+          },
+        },
+      ]
+    );
+  }
+
   function handleCropCancel() {
     setCapturedUri(null);
+    // In queue mode cancelling the crop means "retake", not "leave the queue"
+    if (queue && cropSourceRef.current === 'camera') setTimeout(() => setCameraVisible(true), QUEUE_NEXT_DELAY_MS);
+  }
+
+  function promptStartQueue() {
+    // Until the load finishes, players with a photo would be queued as missing one
+    if (photosLoading) {
+      Alert.alert('Checking photos', 'Still looking up which players already have a photo. Try again in a moment.');
+      return;
+    }
+    const needsPhoto = players.filter((p) => !playerPhotos[p.id]);
+    if (needsPhoto.length === 0) {
+      Alert.alert('All done', 'Every player in this list has a photo.');
+      return;
+    }
+    Alert.alert('Photo Queue', `${needsPhoto.length} players need a photo. Go through them in which order?`, [
+      { text: 'A–Z', onPress: () => startQueue(needsPhoto, 'alphabetical') },
+      // Omnipong does not publish check-in times, so this is the order players entered in
+      { text: 'Entry order', onPress: () => startQueue(needsPhoto, 'roster') },
+      { text: 'Cancel', style: 'cancel' },
+    ]);
+  }
+
+  function startQueue(needsPhoto, order) {
+    const ordered = order === 'alphabetical'
+      ? [...needsPhoto].sort((a, b) => a.name.localeCompare(b.name))
+      : needsPhoto;
+    setQueue({ players: ordered, index: 0, captured: 0, skipped: 0, notPresent: [] });
+    openCameraFor(ordered[0]);
+  }
+
+  // outcome: 'captured' | 'skipped' | 'notPresent'
+  function advanceQueue(outcome) {
+    if (!queue) return;
+    const current = queue.players[queue.index];
+    const next = {
+      ...queue,
+      index: queue.index + 1,
+      captured: queue.captured + (outcome === 'captured' ? 1 : 0),
+      skipped: queue.skipped + (outcome === 'skipped' ? 1 : 0),
+      notPresent: outcome === 'notPresent' ? [...queue.notPresent, current] : queue.notPresent,
+    };
+    if (next.index >= next.players.length) {
+      finishQueue(next);
+      return;
+    }
+    setQueue(next);
+    setSelected(next.players[next.index]);
+    if (outcome === 'captured') {
+      setTimeout(() => setCameraVisible(true), QUEUE_NEXT_DELAY_MS);
+    }
+  }
+
+  function finishQueue(state) {
+    setQueue(null);
+    setCameraVisible(false);
+    const lines = [`Captured: ${state.captured}`, `Skipped: ${state.skipped}`];
+    if (state.notPresent.length > 0) {
+      lines.push(`Not present (${state.notPresent.length}): ${state.notPresent.map((p) => p.name).join(', ')}`);
+    }
+    Alert.alert(state.index >= state.players.length ? 'Queue Complete' : 'Queue Stopped', lines.join('\n'));
+  }
+
+  function handleCameraClose() {
+    setCameraVisible(false);
+    if (queue) finishQueue(queue);
   }
 
   async function ensureCameraPermission() {
@@ -238,22 +482,16 @@ export default function PlayersScreen() {
     if (!selectedPhotoUri || !selected) return;
     
     try {
-      // Rotate the photo 90 degrees clockwise
-      const rotated = await ImageManipulator.manipulateAsync(
-        selectedPhotoUri,
-        [{ rotate: 90 }],
-        { compress: 0.9, format: ImageManipulator.SaveFormat.PNG }
-      );
-      
-      // Save the rotated photo (replaces the original)
-      const savedPath = await savePhoto(selected.name, rotated.uri);
+      // Rotate the photo 90 degrees clockwise and save it (replaces the original)
+      const savedPath = await savePhoto(selected, selectedPhotoUri, [{ rotate: 90 }]);
       setSelectedPhotoUri(savedPath);
       
       // Update the playerPhotos cache to trigger re-render in list
       setPlayerPhotos(prev => ({
         ...prev,
-        [selected.name]: savedPath
+        [selected.id]: savedPath
       }));
+      await loadPhotoVersions(selected);
       
       console.log('Photo rotated and saved:', savedPath);
     } catch (err) {
@@ -271,6 +509,11 @@ export default function PlayersScreen() {
         Alert.alert('No photo to upload', 'Take or select a photo for this player first.');
         return;
       }
+      // Signed out every attempt would fail and use up the photo's retries
+      if (!(await getSession())) {
+        Alert.alert('Not signed in', `${describeSyncBlock(SYNC_BLOCK.SIGNED_OUT)}. The photo stays queued until then.`);
+        return;
+      }
 
       const lastSlash = selectedPhotoUri.lastIndexOf('/');
       const dir = lastSlash === -1 ? '' : selectedPhotoUri.slice(0, lastSlash);
@@ -282,11 +525,48 @@ export default function PlayersScreen() {
       console.log('Player photo synced successfully');
     } catch (err) {
       console.error('Sync failed:', err.message);
+      Alert.alert('Upload failed', err.message);
+    }
+  }
+
+  function renderRosterBanner() {
+    if (refreshing && !rosterFetchedAt) {
+      return (
+        <View style={styles.banner}>
+          <Text style={styles.bannerText}>Loading roster…</Text>
+        </View>
+      );
+    }
+    const age = rosterFetchedAt ? formatTimeAgo(rosterFetchedAt, now) : null;
+    if (!rosterError) {
+      return age ? (
+        <View style={styles.banner}>
+          <Text style={styles.bannerText}>
+            Last updated {age}
+            {refreshing && ' · refreshing…'}
+          </Text>
+        </View>
+      ) : null;
     }
+    const offline = rosterError.code === OMNIPONG_ERROR.NETWORK;
+    return (
+      <View style={[styles.banner, styles.bannerError]}>
+        <View style={styles.bannerBody}>
+          <Text style={[styles.bannerText, styles.bannerErrorText]}>
+            {offline ? 'Offline' : describeOmnipongError(rosterError)}
+            {age ? ` · showing roster from ${age}` : ' · no saved roster for this tournament yet'}
+          </Text>
+        </View>
+        <Pressable style={styles.bannerRetry} onPress={loadPlayers} disabled={refreshing}>
+          <Text style={styles.bannerRetryText}>{refreshing ? '…' : 'Retry'}</Text>
+        </Pressable>
+      </View>
+    );
   }
 
   function renderPlayer({ item }) {
-    const hasPhoto = playerPhotos[item.name];
+    const hasPhoto = playerPhotos[item.id];
+    const details = [item.rating, item.club].filter(Boolean).join(' · ');
     return (
       <Pressable style={styles.playerRow} onPress={() => {
         Keyboard.dismiss();
@@ -295,9 +575,10 @@ export default function PlayersScreen() {
         {hasPhoto && (
           <Image source={{ uri: hasPhoto }} style={styles.playerThumbnail} />
         )}
-        <Text style={[styles.playerName, hasPhoto && styles.playerNameWithPhoto]}>
-          {item.name}
-        </Text>
+        <View style={styles.playerInfo}>
+          <Text style={styles.playerName}>{item.name}</Text>
+          {!!details && <Text style={styles.playerDetails}>{details}</Text>}
+        </View>
         {hasPhoto && <Text style={styles.photoIndicator}>📷</Text>}
       </Pressable>
     );
@@ -306,15 +587,25 @@ export default function PlayersScreen() {
   return (
     <View style={styles.container}>
       {showSettings ? (
-        <SettingsScreen onBack={() => {
-          setShowSettings(false);
-          loadPlayers(); // Reload players when returning from settings
-        }} />
+        <SettingsScreen
+          onBack={() => {
+            setShowSettings(false);
+            loadPlayers(); // Reload players when returning from settings
+          }}
+          onCapturePlayer={(player) => {
+            setShowSettings(false);
+            loadPlayers();
+            openCameraFor(player);
+          }}
+        />
       ) : (
         <>
           <View style={styles.headerRow}>
             <Text style={styles.title}>Tournament Players</Text>
             <View style={styles.headerButtons}>
+              <Pressable style={styles.headerButton} onPress={promptStartQueue}>
+                <Text style={styles.headerButtonText}>📋</Text>
+              </Pressable>
               <Pressable style={styles.headerButton} onPress={() => setShowPhotoBrowser(true)}>
                 <Text style={styles.headerButtonText}>🖼️</Text>
               </Pressable>
@@ -324,13 +615,30 @@ export default function PlayersScreen() {
             </View>
           </View>
 
+          <TournamentSwitcher currentTournament={currentTournament} onSwitch={switchTournament} />
+
           <View style={styles.countRow}>
             <Text style={styles.countText}>
               {filtered.length} {filtered.length === 1 ? 'player' : 'players'}
-              {search && players.length !== filtered.length && ` (${players.length} total)`}
+              {(search || showNewOnly) && players.length !== filtered.length && ` (${players.length} total)`}
             </Text>
+            {newPlayerIds.size > 0 && (
+              <Pressable
+                style={[styles.filterChip, showNewOnly && styles.filterChipActive]}
+                onPress={() => setShowNewOnly((v) => !v)}
+              >
+                <Text style={styles.filterChipText}>New since last download ({newPlayerIds.size})</Text>
+              </Pressable>
+            )}
           </View>
 
+          {renderRosterBanner()}
+          {blockedReason && (
+            <View style={styles.banner}>
+              <Text style={styles.bannerText}>{describeSyncBlock(blockedReason)}</Text>
+            </View>
+          )}
+
           <TextInput
             placeholder="Search players"
             placeholderTextColor="#94a3b8"
@@ -349,6 +657,13 @@ export default function PlayersScreen() {
               renderItem={renderPlayer}
               style={styles.list}
               keyboardShouldPersistTaps="handled"
+              ListEmptyComponent={
+                !refreshing && !rosterError && rosterFetchedAt ? (
+                  <Text style={styles.emptyText}>
+                    {showNewOnly || search ? 'No matching players' : 'No players registered for this tournament yet'}
+                  </Text>
+                ) : null
+              }
             />
           )}
 
@@ -367,6 +682,19 @@ export default function PlayersScreen() {
                   <Text style={styles.placeholderText}>No photo</Text>
                 </View>
               )}
+              {photoVersions.length > 0 && (
+                <View style={styles.history}>
+                  <Text style={styles.historyLabel}>History · tap to restore</Text>
+                  <ScrollView horizontal showsHorizontalScrollIndicator={false}>
+                    {photoVersions.map((version) => (
+                      <Pressable key={version.uri} onPress={() => confirmRestoreVersion(version)}>
+                        <Image source={{ uri: version.uri }} style={styles.historyThumb} />
+                        <Text style={styles.historyDate}>{formatTimeAgo(version.savedAt, now)}</Text>
+                      </Pressable>
+                    ))}
+                  </ScrollView>
+                </View>
+              )}
               <View style={styles.actions}>
                 <Pressable style={styles.button} onPress={() => openCameraFor(selected)}>
                   <Text style={styles.buttonText}>{selectedPhotoUri ? 'Retake Photo' : 'Take Photo'}</Text>
@@ -380,6 +708,14 @@ export default function PlayersScreen() {
                   <Text style={styles.buttonText}>Sync Now</Text>
                 </Pressable>
               </View>
+              <View style={styles.actions}>
+                <Pressable style={[styles.button, styles.importButton]} onPress={handlePickFromLibrary}>
+                  <Text style={styles.buttonText}>🖼 Choose from Library</Text>
+                </Pressable>
+                <Pressable style={[styles.button, styles.importButton]} onPress={handleImportFile}>
+                  <Text style={styles.buttonText}>📁 Import File</Text>
+                </Pressable>
+              </View>
             </View>
           )}
 
@@ -387,15 +723,31 @@ export default function PlayersScreen() {
             <PhotoBrowserScreen onClose={() => setShowPhotoBrowser(false)} />
           </Modal>
 
-          <Modal visible={cameraVisible} animationType="slide">
+          <Modal visible={cameraVisible} animationType="slide" onRequestClose={handleCameraClose}>
             <View style={styles.cameraContainer}>
               <CameraView style={styles.camera} facing={cameraType} ref={cameraRef}>
+                {queue && selected && (
+                  <View style={styles.queueBar}>
+                    <Text style={styles.queueProgress}>
+                      {queue.index + 1} / {queue.players.length}
+                    </Text>
+                    <Text style={styles.queueName} numberOfLines={1}>{selected.name}</Text>
+                    <View style={styles.queueActions}>
+                      <Pressable style={styles.iconButton} onPress={() => advanceQueue('skipped')}>
+                        <Text style={styles.buttonText}>Skip</Text>
+                      </Pressable>
+                      <Pressable style={styles.iconButton} onPress={() => advanceQueue('notPresent')}>
+                        <Text style={styles.buttonText}>Not present</Text>
+                      </Pressable>
+                    </View>
+                  </View>
+                )}
                 <View style={styles.cameraControls}>
                   <Pressable style={styles.iconButton} onPress={() => setCameraType((t) => (t === 'back' ? 'front' : 'back'))}>
                     <Text style={styles.buttonText}>Flip</Text>
                   </Pressable>
-                  <Pressable style={styles.iconButton} onPress={() => setCameraVisible(false)}>
-                    <Text style={styles.buttonText}>Close</Text>
+                  <Pressable style={styles.iconButton} onPress={handleCameraClose}>
+                    <Text style={styles.buttonText}>{queue ? 'End Queue' : 'Close'}</Text>
                   </Pressable>
                 </View>
               </CameraView>
@@ -407,41 +759,31 @@ export default function PlayersScreen() {
 
           <Modal visible={!!capturedUri} animationType="slide">
         <View style={styles.cropContainer}>
-          <Text style={styles.cropTitle}>Drag to Adjust Crop</Text>
+          <Text style={styles.cropTitle}>Adjust Crop</Text>
+          {detectingFace ? (
+            <Text style={styles.cropHint}>Looking for a face…</Text>
+          ) : faceNotice ? (
+            <Text style={styles.faceWarning}>{faceNotice}</Text>
+          ) : null}
           <View style={styles.cropPreview}>
             {capturedUri && (
-              <Image 
-                source={{ uri: capturedUri }} 
-                style={styles.cropImage}
-                resizeMode="contain"
+              <CropEditor
+                uri={capturedUri}
+                imageSize={imageSize.current}
+                initialCrop={faceCrop}
+                onChange={(state) => {
+                  cropStateRef.current = state;
+                }}
               />
             )}
-            <View style={styles.cropOverlay}>
-              <Animated.View 
-                {...panResponder.panHandlers}
-                style={[
-                  styles.cropBox,
-                  {
-                    transform: [
-                      { translateX },
-                      { translateY },
-                    ],
-                    left: cropPosition.x,
-                    top: cropPosition.y,
-                  },
-                ]}
-              >
-                <View style={styles.dragHandle} />
-              </Animated.View>
-            </View>
           </View>
-          <Text style={styles.cropHint}>Drag the box to adjust crop area</Text>
+          <Text style={styles.cropHint}>Drag the box to move it, its corner to resize, pinch to zoom</Text>
           <View style={styles.cropActions}>
             <Pressable style={[styles.button, styles.cancelButton]} onPress={handleCropCancel}>
               <Text style={styles.buttonText}>Cancel</Text>
             </Pressable>
-            <Pressable style={[styles.button, styles.confirmButton]} onPress={handleCropConfirm}>
-              <Text style={styles.buttonText}>Use Photo</Text>
+            <Pressable style={[styles.button, styles.confirmButton]} onPress={handleCropConfirm} disabled={checkingQuality}>
+              <Text style={styles.buttonText}>{checkingQuality ? 'Checking…' : 'Use Photo'}</Text>
             </Pressable>
           </View>
         </View>
@@ -494,12 +836,68 @@ const styles = StyleSheet.create({
     fontSize: 20,
   },
   countRow: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
     marginBottom: 8,
   },
+  filterChip: {
+    paddingHorizontal: 10,
+    paddingVertical: 4,
+    borderRadius: 12,
+    borderWidth: 1,
+    borderColor: '#334155',
+    backgroundColor: '#1e293b',
+  },
+  filterChipActive: {
+    backgroundColor: '#2563eb',
+    borderColor: '#2563eb',
+  },
+  filterChipText: {
+    color: '#e2e8f0',
+    fontSize: 12,
+  },
   countText: {
     color: '#94a3b8',
     fontSize: 14,
   },
+  banner: {
+    backgroundColor: '#1e293b',
+    borderRadius: 8,
+    paddingVertical: 6,
+    paddingHorizontal: 10,
+    marginBottom: 8,
+  },
+  bannerError: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    backgroundColor: '#4b5563',
+    borderWidth: 1,
+    borderColor: '#fbbf24',
+  },
+  bannerBody: { flex: 1 },
+  bannerText: {
+    color: '#94a3b8',
+    fontSize: 12,
+  },
+  bannerErrorText: { color: '#fef3c7' },
+  bannerRetry: {
+    marginLeft: 8,
+    paddingHorizontal: 10,
+    paddingVertical: 4,
+    borderRadius: 6,
+    backgroundColor: '#334155',
+  },
+  bannerRetryText: {
+    color: '#e2e8f0',
+    fontSize: 12,
+    fontWeight: '600',
+  },
+  emptyText: {
+    color: '#64748b',
+    textAlign: 'center',
+    marginTop: 24,
+  },
   search: {
     backgroundColor: '#1e293b',
     color: '#e2e8f0',
@@ -525,8 +923,9 @@ const styles = StyleSheet.create({
     marginRight: 12,
     backgroundColor: '#1e293b',
   },
+  playerInfo: { flex: 1 },
   playerName: { color: '#e2e8f0', fontSize: 16 },
-  playerNameWithPhoto: { flex: 1 },
+  playerDetails: { color: '#64748b', fontSize: 12, marginTop: 2 },
   photoIndicator: {
     color: '#64748b',
     fontSize: 16,
@@ -563,10 +962,15 @@ const styles = StyleSheet.create({
   photo: { width: '100%', aspectRatio: 1, borderRadius: 12, backgroundColor: '#0f172a' },
   photoPlaceholder: { justifyContent: 'center', alignItems: 'center' },
   placeholderText: { color: '#64748b' },
+  history: { marginTop: 8 },
+  historyLabel: { color: '#64748b', fontSize: 12, marginBottom: 4 },
+  historyThumb: { width: 56, height: 56, borderRadius: 8, marginRight: 8, backgroundColor: '#0f172a' },
+  historyDate: { color: '#64748b', fontSize: 10, width: 56, textAlign: 'center' },
   actions: { flexDirection: 'row', gap: 10, marginTop: 12 },
   button: { flex: 1, backgroundColor: '#2563eb', paddingVertical: 12, borderRadius: 10, alignItems: 'center' },
   secondary: { backgroundColor: '#334155' },
   rotateButton: { backgroundColor: '#8b5cf6' },
+  importButton: { backgroundColor: '#0f766e' },
   buttonText: { color: '#e2e8f0', fontWeight: '600' },
   cameraContainer: { flex: 1, backgroundColor: '#000' },
   camera: { flex: 1 },
@@ -585,6 +989,18 @@ const styles = StyleSheet.create({
     paddingHorizontal: 16,
     borderRadius: 12,
   },
+  queueBar: {
+    position: 'absolute',
+    top: 48,
+    left: 16,
+    right: 16,
+    backgroundColor: 'rgba(0,0,0,0.6)',
+    borderRadius: 12,
+    padding: 12,
+  },
+  queueProgress: { color: '#94a3b8', fontSize: 12, fontWeight: '600' },
+  queueName: { color: '#e2e8f0', fontSize: 20, fontWeight: '700', marginTop: 2 },
+  queueActions: { flexDirection: 'row', gap: 8, marginTop: 8 },
   capture: {
     backgroundColor: '#2563eb',
     paddingVertical: 14,
@@ -607,38 +1023,12 @@ const styles = StyleSheet.create({
   },
   cropPreview: {
     flex: 1,
-    justifyContent: 'center',
-    alignItems: 'center',
-    position: 'relative',
-  },
-  cropImage: {
-    width: '100%',
-    height: '100%',
   },
-  cropOverlay: {
-    ...StyleSheet.absoluteFillObject,
-  },
-  cropBox: {
-    position: 'absolute',
-    width: SCREEN_WIDTH - 64,
-    height: SCREEN_WIDTH - 64,
-    borderWidth: 3,
-    borderColor: '#38bdf8',
-    borderRadius: 8,
-    backgroundColor: 'rgba(56, 189, 248, 0.1)',
-  },
-  dragHandle: {
-    position: 'absolute',
-    top: '50%',
-    left: '50%',
-    width: 40,
-    height: 40,
-    marginLeft: -20,
-    marginTop: -20,
-    backgroundColor: 'rgba(56, 189, 248, 0.3)',
-    borderRadius: 20,
-    borderWidth: 2,
-    borderColor: '#38bdf8',
+  faceWarning: {
+    color: '#fbbf24',
+    textAlign: 'center',
+    marginBottom: 12,
+    fontSize: 14,
   },
   cropHint: {
     color: '#94a3b8',
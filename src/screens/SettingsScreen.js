@@ -1,43 +1,199 @@
-import React, { useEffect, useState } from 'react';
-import { ActivityIndicator, FlatList, KeyboardAvoidingView, Platform, Pressable, ScrollView, StyleSheet, Text, TextInput, View, Alert, Modal } from 'react-native';
+import React, { useEffect, useRef, useState } from 'react';
+import { ActivityIndicator, FlatList, KeyboardAvoidingView, Platform, Pressable, ScrollView, StyleSheet, Switch, Text, TextInput, View, Alert, Modal } from 'react-native';
 import AsyncStorage from '@react-native-async-storage/async-storage';
-import { getTournaments, getPlayers } from '../services/omnipongService.js';
-import { downloadMissingPhotos, uploadAllPhotos, hasSupabaseConfig } from '../services/supabaseService.js';
-import { listLocalPhotos, getPendingUploads } from '../storage/photoStore.js';
+import { getTournaments, getPlayers, describeOmnipongError, searchYearRange, MAX_SEARCH_YEARS } from '../services/omnipongService.js';
+import {
+  downloadMissingPhotos,
+  uploadAllPhotos,
+  hasSupabaseConfig,
+  migratePhotoFormat,
+  findPhotoConflicts,
+  getStorageBucket,
+  syncPlayerRecords,
+} from '../services/supabaseService.js';
+import { listLocalPhotos, getUploadQueue, UPLOAD_STATE, getPhotoPolicy, savePhotoPolicy, normalizeLocalPhotos } from '../storage/photoStore.js';
+import { getBackgroundSyncStatus, registerBackgroundSync } from '../services/backgroundSyncService.js';
+import { describeTransferProgress } from '../services/transferEngine.js';
+import { getSession } from '../services/authService.js';
+import { describeSyncBlock, SYNC_BLOCK } from '../services/connectivityService.js';
+import { recordRosterDownload } from '../storage/rosterStore.js';
+import { identifyPlayers, isClubChange, recordRenamedPlayers } from '../storage/aliasStore.js';
+import SupabaseAuthPanel from '../components/SupabaseAuthPanel.js';
+import {
+  DEFAULT_SYNC_SETTINGS,
+  STORAGE_LAYOUTS,
+  SYNC_INTERVAL_OPTIONS_MIN,
+  TRANSFER_CONCURRENCY_OPTIONS,
+  getSavedTournaments,
+  getSelectedTournament,
+  getStorageLayout,
+  getSyncSettings,
+  getTournamentSearch,
+  saveStorageLayout,
+  saveSyncSettings,
+  saveTournamentSearch,
+  selectTournament as saveSelectedTournament,
+  setTournamentFavorite,
+} from '../storage/settingsStore.js';
+import { formatTimeAgo } from '../helpers/utils.js';
 import PhotoBrowserScreen from './PhotoBrowserScreen.js';
+import UploadQueueScreen from './UploadQueueScreen.js';
+import PhotoConflictsScreen from './PhotoConflictsScreen.js';
+import BulkImportScreen from './BulkImportScreen.js';
+import PhotoCoverageCard from '../components/PhotoCoverageCard.js';
 
-const SELECTED_TOURNAMENT_KEY = '@selected_tournament';
 const MANUAL_PLAYERS_KEY = '@manual_players';
+const DIFF_LIST_LIMIT = 8;
 
-export default function SettingsScreen({ onBack }) {
+export default function SettingsScreen({ onBack, onCapturePlayer }) {
   const [tournaments, setTournaments] = useState([]);
   const [selectedTournament, setSelectedTournament] = useState(null);
+  const [favoriteKeys, setFavoriteKeys] = useState(new Set());
   const [loading, setLoading] = useState(true);
+  const [tournamentsError, setTournamentsError] = useState(null);
+  const [searchForm, setSearchForm] = useState({ keyword: '', clubId: '', fromYear: '', toYear: '', includePast: false });
+  const [searchExpanded, setSearchExpanded] = useState(false);
   const [manualPlayers, setManualPlayers] = useState([]);
   const [newPlayerName, setNewPlayerName] = useState('');
   const [syncing, setSyncing] = useState(false);
   const [syncProgress, setSyncProgress] = useState('');
+  const [transferProgress, setTransferProgress] = useState(null);
+  const syncAbortRef = useRef(null);
   const [downloadingPlayers, setDownloadingPlayers] = useState(false);
   const [localPhotoCount, setLocalPhotoCount] = useState(0);
   const [pendingUploadCount, setPendingUploadCount] = useState(0);
+  const [failedUploadCount, setFailedUploadCount] = useState(0);
+  const [backgroundSync, setBackgroundSync] = useState(null);
+  const [syncSettings, setSyncSettings] = useState(DEFAULT_SYNC_SETTINGS);
+  const [storageLayout, setStorageLayout] = useState(STORAGE_LAYOUTS.FLAT);
   const [tournamentSectionExpanded, setTournamentSectionExpanded] = useState(false);
   const [storageSectionExpanded, setStorageSectionExpanded] = useState(false);
   const supabaseReady = hasSupabaseConfig();
   const [showPhotoBrowser, setShowPhotoBrowser] = useState(false);
+  const [showUploadQueue, setShowUploadQueue] = useState(false);
+  const [showConflicts, setShowConflicts] = useState(false);
+  const [showBulkImport, setShowBulkImport] = useState(false);
+  const [coverageVersion, setCoverageVersion] = useState(0);
+  const [policyForm, setPolicyForm] = useState({ format: 'jpeg', quality: '', maxDimension: '' });
+  const [migrating, setMigrating] = useState(false);
+  const [migrateProgress, setMigrateProgress] = useState('');
 
   useEffect(() => {
     loadSettings();
     loadPhotoStats();
+    loadPhotoPolicy();
+    getSyncSettings().then(setSyncSettings).catch((err) => {
+      console.error('Failed to load sync settings:', err.message);
+    });
+    getStorageLayout().then(setStorageLayout).catch((err) => {
+      console.error('Failed to load storage layout:', err.message);
+    });
   }, []);
 
+  async function updateStorageLayout(layout) {
+    try {
+      setStorageLayout(await saveStorageLayout(layout));
+      setCoverageVersion((v) => v + 1);
+    } catch (err) {
+      console.error('Failed to save storage layout:', err.message);
+      Alert.alert('Error', 'Failed to save storage layout: ' + err.message);
+    }
+  }
+
+  async function updateSyncSettings(changes) {
+    try {
+      const next = await saveSyncSettings(changes);
+      setSyncSettings(next);
+      if ('intervalMinutes' in changes) {
+        await registerBackgroundSync();
+      }
+    } catch (err) {
+      console.error('Failed to save sync settings:', err.message);
+      Alert.alert('Error', 'Failed to save sync settings: ' + err.message);
+    }
+  }
+
+  async function loadPhotoPolicy() {
+    try {
+      const policy = await getPhotoPolicy();
+      setPolicyForm({
+        format: policy.format,
+        quality: String(Math.round(policy.quality * 100)),
+        maxDimension: policy.maxDimension ? String(policy.maxDimension) : '',
+      });
+    } catch (err) {
+      console.error('Failed to load photo policy:', err.message);
+    }
+  }
+
+  async function applyPhotoPolicy() {
+    const quality = parseInt(policyForm.quality, 10);
+    if (!(quality >= 10 && quality <= 100)) {
+      Alert.alert('Error', 'Quality must be between 10 and 100');
+      return;
+    }
+    const maxDimension = parseInt(policyForm.maxDimension, 10) || null;
+    if (maxDimension !== null && maxDimension < 256) {
+      Alert.alert('Error', 'Max size must be at least 256 px (or empty for no limit)');
+      return;
+    }
+    try {
+      await savePhotoPolicy({ format: policyForm.format, quality: quality / 100, maxDimension });
+      await loadPhotoPolicy();
+      Alert.alert('Saved', 'New photos will use this format. Use "Normalize Existing Photos" to convert older ones.');
+    } catch (err) {
+      console.error('Failed to save photo policy:', err.message);
+      Alert.alert('Error', 'Failed to save photo format');
+    }
+  }
+
+  function confirmMigratePhotos() {
+    Alert.alert(
+      'Normalize Existing Photos',
+      supabaseReady
+        ? 'Re-encode photos on this device and in Supabase to the current format. This downloads and re-uploads photos that need converting.'
+        : 'Re-encode photos on this device to the current format. Supabase is not configured, so the bucket is left unchanged.',
+      [
+        { text: 'Cancel', style: 'cancel' },
+        { text: 'Normalize', onPress: migratePhotos },
+      ]
+    );
+  }
+
+  async function migratePhotos() {
+    try {
+      setMigrating(true);
+      const result = supabaseReady
+        ? await migratePhotoFormat(setMigrateProgress)
+        : await normalizeLocalPhotos(setMigrateProgress);
+      const lines = [`Converted: ${result.converted}`];
+      if (supabaseReady) {
+        lines.push(`Downloaded: ${result.downloaded}`, `Uploaded: ${result.uploaded}`, `Old remote copies removed: ${result.removed}`);
+      }
+      lines.push(`Failed: ${result.failed}`);
+      if (result.signedOut) lines.push('', `${describeSyncBlock(SYNC_BLOCK.SIGNED_OUT)} and clean up old remote copies.`);
+      Alert.alert('Normalization Complete', lines.join('\n'));
+      await loadPhotoStats();
+    } catch (err) {
+      console.error('Photo normalization failed:', err.message);
+      Alert.alert('Normalization Error', err.message);
+    } finally {
+      setMigrating(false);
+      setMigrateProgress('');
+    }
+  }
+
   async function loadPhotoStats() {
     try {
-      const [photos, pending] = await Promise.all([
+      const [photos, queue, background] = await Promise.all([
         listLocalPhotos(),
-        getPendingUploads(),
+        getUploadQueue(),
+        getBackgroundSyncStatus().catch(() => null),
       ]);
       setLocalPhotoCount(photos.length);
-      setPendingUploadCount(pending.length);
+      setPendingUploadCount(queue.filter((e) => e.state !== UPLOAD_STATE.DONE).length);
+      setFailedUploadCount(queue.filter((e) => e.state === UPLOAD_STATE.FAILED).length);
+      setBackgroundSync(background);
     } catch (err) {
       console.error('Failed to load photo stats:', err.message);
     }
@@ -46,31 +202,79 @@ export default function SettingsScreen({ onBack }) {
   async function loadSettings() {
     try {
       setLoading(true);
-      const [tournamentsData, selectedData, manualData] = await Promise.all([
-        getTournaments(),
-        AsyncStorage.getItem(SELECTED_TOURNAMENT_KEY),
+      const [selected, saved, manualData] = await Promise.all([
+        getSelectedTournament(),
+        getSavedTournaments(),
         AsyncStorage.getItem(MANUAL_PLAYERS_KEY),
       ]);
 
-      setTournaments(tournamentsData);
-      
-      if (selectedData) {
-        setSelectedTournament(JSON.parse(selectedData));
+      if (selected) {
+        setSelectedTournament(selected);
       }
+      setFavoriteKeys(new Set(saved.filter((t) => t.favorite).map(tournamentKey)));
       
       if (manualData) {
         setManualPlayers(JSON.parse(manualData));
       }
     } catch (err) {
       console.error('Failed to load settings:', err.message);
+    }
+    const search = await getTournamentSearch();
+    setSearchForm(toSearchForm(search));
+    await loadTournaments(search);
+  }
+
+  async function loadTournaments(search) {
+    try {
+      setLoading(true);
+      setTournamentsError(null);
+      setTournaments(await getTournaments(search || (await getTournamentSearch())));
+    } catch (err) {
+      console.error('Failed to load tournaments:', err.message);
+      setTournamentsError(err);
     } finally {
       setLoading(false);
     }
   }
 
+  async function applySearch() {
+    const keyword = searchForm.keyword.trim();
+    if (!keyword) {
+      Alert.alert('Error', 'Please enter a search keyword');
+      return;
+    }
+    const fromYear = parseYear(searchForm.fromYear);
+    const toYear = parseYear(searchForm.toYear);
+    if (fromYear && toYear && toYear < fromYear) {
+      Alert.alert('Error', '"To" year must not be before "From" year');
+      return;
+    }
+    const range = searchYearRange({ fromYear, toYear });
+    if (range.tooWide) {
+      // An empty "To" means next year, so an old "From" alone can make the range too wide
+      Alert.alert('Error', `${range.firstYear}–${range.lastYear} is more than ${MAX_SEARCH_YEARS} years. Set a later "From" year or a "To" year.`);
+      return;
+    }
+
+    try {
+      const saved = await saveTournamentSearch({
+        keyword,
+        clubId: parseInt(searchForm.clubId, 10) || null,
+        fromYear,
+        toYear,
+        includePast: searchForm.includePast,
+      });
+      setSearchForm(toSearchForm(saved));
+      await loadTournaments(saved);
+    } catch (err) {
+      console.error('Failed to save search:', err.message);
+      Alert.alert('Error', 'Failed to save tournament search');
+    }
+  }
+
   async function selectTournament(tournament) {
     try {
-      await AsyncStorage.setItem(SELECTED_TOURNAMENT_KEY, JSON.stringify(tournament));
+      await saveSelectedTournament(tournament);
       setSelectedTournament(tournament);
       Alert.alert('Success', `Tournament "${tournament.name}" selected`);
     } catch (err) {
@@ -79,6 +283,22 @@ export default function SettingsScreen({ onBack }) {
     }
   }
 
+  async function toggleFavorite(tournament) {
+    const key = tournamentKey(tournament);
+    const favorite = !favoriteKeys.has(key);
+    try {
+      await setTournamentFavorite(tournament, favorite);
+      setFavoriteKeys((prev) => {
+        const next = new Set(prev);
+        if (favorite) next.add(key);
+        else next.delete(key);
+        return next;
+      });
+    } catch (err) {
+      console.error('Failed to update favorite:', err.message);
+    }
+  }
+
   async function downloadPlayers() {
     if (!selectedTournament) {
       Alert.alert('Error', 'Please select a tournament first');
@@ -94,19 +314,45 @@ export default function SettingsScreen({ onBack }) {
         return;
       }
 
+      // Cached roster is what the Players screen shows when offline
+      const { diff } = await recordRosterDownload(selectedTournament, players);
+      // A similar name may be a different player, so their photo only moves over when confirmed
+      const renamed = diff ? diff.renamed.filter((r) => !isClubChange(r)) : [];
+
+      const summary = `Successfully downloaded ${players.length} players from "${selectedTournament.name}".${formatRosterDiff(diff)}`;
+
       Alert.alert(
         'Players Downloaded',
-        `Successfully downloaded ${players.length} players from "${selectedTournament.name}".\n\nGo back to the Players screen to see them.`,
-        [{ text: 'OK' }]
+        renamed.length > 0
+          ? `${summary}\n\nAre the renamed entries the same players? Their photos then move to the new names.`
+          : `${summary}\n\nGo back to the Players screen to see them.`,
+        renamed.length > 0
+          ? [
+            { text: 'Different players', style: 'cancel' },
+            { text: 'Same players', onPress: () => confirmRenamedPlayers(renamed) },
+          ]
+          : [{ text: 'OK' }]
       );
     } catch (err) {
       console.error('Failed to download players:', err.message);
-      Alert.alert('Error', 'Failed to download players from tournament');
+      Alert.alert('Download Failed', describeOmnipongError(err), [
+        { text: 'Cancel', style: 'cancel' },
+        { text: 'Retry', onPress: downloadPlayers },
+      ]);
     } finally {
       setDownloadingPlayers(false);
     }
   }
 
+  async function confirmRenamedPlayers(renamed) {
+    try {
+      await recordRenamedPlayers(renamed);
+    } catch (err) {
+      console.error('Failed to keep photos of renamed players:', err.message);
+      Alert.alert('Error', 'Could not move the photos to the new names.');
+    }
+  }
+
   async function addManualPlayer() {
     const trimmed = newPlayerName.trim();
     if (!trimmed) {
@@ -157,15 +403,17 @@ export default function SettingsScreen({ onBack }) {
         return;
       }
 
+      const controller = new AbortController();
+      syncAbortRef.current = controller;
+      const transferOptions = { signal: controller.signal, concurrency: syncSettings.transferConcurrency };
       setSyncing(true);
       setSyncProgress('Preparing player list...');
 
-      let currentPlayerNames = [];
+      let currentPlayers = [];
       if (selectedTournament) {
         try {
-          const players = await getPlayers(selectedTournament.omnipongUrl);
-          currentPlayerNames = players.map((p) => p.name);
-          console.log(`Syncing for ${currentPlayerNames.length} tournament players`);
+          currentPlayers = await identifyPlayers(await getPlayers(selectedTournament.omnipongUrl));
+          console.log(`Syncing for ${currentPlayers.length} tournament players`);
         } catch (err) {
           console.warn('Could not load tournament players, syncing all:', err.message);
         }
@@ -174,29 +422,79 @@ export default function SettingsScreen({ onBack }) {
       setSyncProgress('Downloading from Supabase...');
       const downloadResult = await downloadMissingPhotos(
         (progress) => {
-          setSyncProgress(progress);
+          setTransferProgress(progress);
+          setSyncProgress(describeTransferProgress('Downloading', progress));
         },
-        currentPlayerNames.length > 0 ? currentPlayerNames : null
+        currentPlayers.length > 0 ? currentPlayers : null,
+        transferOptions
       );
 
-      setSyncProgress('Uploading local photos...');
-      const uploadResult = await uploadAllPhotos((progress) => {
-        setSyncProgress(progress);
-      });
+      let uploadResult = { uploaded: 0, failed: 0, cancelled: false };
+      // Downloads work with the anon key; uploads need a signed-in volunteer
+      const signedIn = !!(await getSession());
+      if (!downloadResult.cancelled && signedIn) {
+        setTransferProgress(null);
+        setSyncProgress('Uploading local photos...');
+        uploadResult = await uploadAllPhotos((progress) => {
+          setTransferProgress(progress);
+          setSyncProgress(describeTransferProgress('Uploading', progress));
+        }, transferOptions);
+      }
+
+      const cancelled = downloadResult.cancelled || uploadResult.cancelled;
+      let playerRecords = null;
+      if (!cancelled && signedIn && currentPlayers.length > 0) {
+        setSyncProgress('Updating player records...');
+        try {
+          playerRecords = await syncPlayerRecords(currentPlayers, selectedTournament);
+        } catch (err) {
+          console.warn('Player records sync failed:', err.message);
+        }
+      }
+      let conflicts = [];
+      if (!cancelled) {
+        setSyncProgress('Checking for conflicts...');
+        try {
+          conflicts = await findPhotoConflicts();
+        } catch (err) {
+          console.warn('Conflict check failed:', err.message);
+        }
+      }
 
       setSyncProgress('');
-      Alert.alert(
-        'Sync Complete',
-        `Downloaded: ${downloadResult.downloaded || 0}\nUploaded: ${uploadResult.uploaded || 0}\nSkipped: ${(downloadResult.skipped || 0)}\nFailed: ${(uploadResult.failed || 0) + (downloadResult.failed || 0)}`
-      );
+      let summary = `Downloaded: ${downloadResult.downloaded || 0}\nUploaded: ${uploadResult.uploaded || 0}\nSkipped: ${(downloadResult.skipped || 0)}\nFailed: ${(uploadResult.failed || 0) + (downloadResult.failed || 0)}`;
+      if (playerRecords) summary += `\nPlayer records: ${playerRecords.upserted}`;
+      if (!signedIn) summary += '\n\nSign in under Supabase Storage to upload local photos.';
+      if (conflicts.length > 0) {
+        Alert.alert(
+          'Sync Complete',
+          `${summary}\n\n${conflicts.length} ${conflicts.length === 1 ? 'photo differs' : 'photos differ'} between this device and Supabase.`,
+          [
+            { text: 'Later', style: 'cancel' },
+            { text: 'Review', onPress: () => setShowConflicts(true) },
+          ]
+        );
+      } else {
+        Alert.alert(cancelled ? 'Sync Cancelled' : 'Sync Complete', summary);
+      }
 
       await loadPhotoStats();
+      setCoverageVersion((v) => v + 1);
     } catch (err) {
       console.error('Sync failed:', err.message);
       Alert.alert('Sync Error', err.message);
     } finally {
+      syncAbortRef.current = null;
       setSyncing(false);
       setSyncProgress('');
+      setTransferProgress(null);
+    }
+  }
+
+  function cancelSync() {
+    if (syncAbortRef.current) {
+      setSyncProgress('Cancelling...');
+      syncAbortRef.current.abort();
     }
   }
 
@@ -234,6 +532,66 @@ export default function SettingsScreen({ onBack }) {
                 Select tournament and download players, or add manual players
               </Text>
               
+              <Pressable style={styles.searchToggle} onPress={() => setSearchExpanded(!searchExpanded)}>
+                <Text style={styles.searchToggleText}>
+                  Search: "{searchForm.keyword}"
+                  {searchForm.clubId ? ` · club ${searchForm.clubId}` : ''}
+                  {searchForm.includePast ? ' · incl. past' : ''}
+                </Text>
+                <Text style={styles.collapseIcon}>{searchExpanded ? '▼' : '▶'}</Text>
+              </Pressable>
+
+              {searchExpanded && (
+                <View style={styles.searchPanel}>
+                  <TextInput
+                    placeholder="Keyword (e.g. HCTT)"
+                    placeholderTextColor="#94a3b8"
+                    value={searchForm.keyword}
+                    onChangeText={(keyword) => setSearchForm((f) => ({ ...f, keyword }))}
+                    style={styles.searchInput}
+                    autoCapitalize="characters"
+                  />
+                  <TextInput
+                    placeholder="Omnipong club ID (optional)"
+                    placeholderTextColor="#94a3b8"
+                    value={searchForm.clubId}
+                    onChangeText={(clubId) => setSearchForm((f) => ({ ...f, clubId }))}
+                    style={styles.searchInput}
+                    keyboardType="number-pad"
+                  />
+                  <View style={styles.searchRow}>
+                    <TextInput
+                      placeholder={`From (${new Date().getFullYear()})`}
+                      placeholderTextColor="#94a3b8"
+                      value={searchForm.fromYear}
+                      onChangeText={(fromYear) => setSearchForm((f) => ({ ...f, fromYear }))}
+                      style={styles.playerInput}
+                      keyboardType="number-pad"
+                      maxLength={4}
+                    />
+                    <TextInput
+                      placeholder={`To (${new Date().getFullYear() + 1})`}
+                      placeholderTextColor="#94a3b8"
+                      value={searchForm.toYear}
+                      onChangeText={(toYear) => setSearchForm((f) => ({ ...f, toYear }))}
+                      style={styles.playerInput}
+                      keyboardType="number-pad"
+                      maxLength={4}
+                    />
+                  </View>
+                  <View style={styles.switchRow}>
+                    <Text style={styles.switchLabel}>Include past events</Text>
+                    <Switch
+                      value={searchForm.includePast}
+                      onValueChange={(includePast) => setSearchForm((f) => ({ ...f, includePast }))}
+                    />
+                  </View>
+                  <Pressable style={styles.downloadButton} onPress={applySearch}>
+                    <Text style={styles.downloadButtonText}>Search Tournaments</Text>
+                  </Pressable>
+                </View>
+              )}
+
               {loading ? (
                 <ActivityIndicator color="#38bdf8" style={{ marginTop: 12 }} />
               ) : (
@@ -257,6 +615,19 @@ export default function SettingsScreen({ onBack }) {
                       )}
                     </Pressable>
                   )}
+                  {tournamentsError && (
+                    <View style={styles.warningCard}>
+                      <Text style={styles.warningText}>{describeOmnipongError(tournamentsError)}</Text>
+                      <Pressable style={styles.retryButton} onPress={() => loadTournaments()}>
+                        <Text style={styles.retryButtonText}>Retry</Text>
+                      </Pressable>
+                    </View>
+                  )}
+                  {!tournamentsError && tournaments.length === 0 && (
+                    <Text style={styles.sectionDescription}>
+                      No {searchForm.includePast ? '' : 'upcoming '}tournaments found for "{searchForm.keyword}".
+                    </Text>
+                  )}
                   <FlatList
                     data={tournaments}
                     keyExtractor={(item) => item.tournamentId}
@@ -271,6 +642,9 @@ export default function SettingsScreen({ onBack }) {
                         >
                           <Text style={styles.tournamentName}>{item.name}</Text>
                           {isSelected && <Text style={styles.checkmark}>✓</Text>}
+                          <Pressable style={styles.favoriteButton} onPress={() => toggleFavorite(item)} hitSlop={8}>
+                            <Text style={styles.favoriteText}>{favoriteKeys.has(tournamentKey(item)) ? '★' : '☆'}</Text>
+                          </Pressable>
                         </Pressable>
                       );
                     }}
@@ -333,12 +707,14 @@ export default function SettingsScreen({ onBack }) {
           {storageSectionExpanded && (
             <>
               <Text style={styles.sectionDescription}>
-                Photos sync to the Supabase bucket "tournament-players". Make sure the bucket allows read/write with your anon key.
+                Photos sync to the Supabase bucket "{getStorageBucket()}". Anyone can download; uploads are made as the signed-in volunteer.
               </Text>
 
+              <SupabaseAuthPanel disabled={!supabaseReady} />
+
               <View style={styles.selectedInfo}>
                 <Text style={styles.selectedLabel}>Bucket</Text>
-                <Text style={styles.selectedValue}>tournament-players</Text>
+                <Text style={styles.selectedValue}>{getStorageBucket()}</Text>
                 <Text style={styles.selectedLabel}>
                   Supabase URL & anon key: {supabaseReady ? 'configured' : 'missing'}
                 </Text>
@@ -349,6 +725,74 @@ export default function SettingsScreen({ onBack }) {
                   <Text style={styles.warningText}>Add EXPO_PUBLIC_SUPABASE_URL and EXPO_PUBLIC_SUPABASE_ANON_KEY to your .env to enable sync.</Text>
                 </View>
               )}
+
+              <View style={styles.subsection}>
+                <Text style={styles.subsectionTitle}>Folder Layout</Text>
+                <Text style={styles.sectionDescription}>
+                  Lets several clubs share one bucket. Photos go to {storageLayoutExample(storageLayout, selectedTournament)}
+                </Text>
+                <View style={styles.searchRow}>
+                  {STORAGE_LAYOUT_OPTIONS.map((option) => (
+                    <Pressable
+                      key={option.layout}
+                      style={[styles.formatChip, storageLayout === option.layout && styles.formatChipSelected]}
+                      onPress={() => updateStorageLayout(option.layout)}
+                    >
+                      <Text style={styles.formatChipText}>{option.label}</Text>
+                    </Pressable>
+                  ))}
+                </View>
+              </View>
+
+              <View style={styles.subsection}>
+                <Text style={styles.subsectionTitle}>Photo Format</Text>
+                <Text style={styles.sectionDescription}>
+                  Used for every capture, rotate, restore and import, and for the file extension uploaded to Supabase
+                </Text>
+                <View style={styles.searchRow}>
+                  {['jpeg', 'png'].map((format) => (
+                    <Pressable
+                      key={format}
+                      style={[styles.formatChip, policyForm.format === format && styles.formatChipSelected]}
+                      onPress={() => setPolicyForm((f) => ({ ...f, format }))}
+                    >
+                      <Text style={styles.formatChipText}>{format.toUpperCase()}</Text>
+                    </Pressable>
+                  ))}
+                </View>
+                <View style={[styles.searchRow, { marginTop: 8 }]}>
+                  <TextInput
+                    placeholder="Quality %"
+                    placeholderTextColor="#94a3b8"
+                    value={policyForm.quality}
+                    onChangeText={(quality) => setPolicyForm((f) => ({ ...f, quality }))}
+                    style={styles.playerInput}
+                    keyboardType="number-pad"
+                    maxLength={3}
+                  />
+                  <TextInput
+                    placeholder="Max size px (empty = none)"
+                    placeholderTextColor="#94a3b8"
+                    value={policyForm.maxDimension}
+                    onChangeText={(maxDimension) => setPolicyForm((f) => ({ ...f, maxDimension }))}
+                    style={styles.playerInput}
+                    keyboardType="number-pad"
+                    maxLength={4}
+                  />
+                </View>
+                <Pressable style={[styles.downloadButton, { marginTop: 8 }]} onPress={applyPhotoPolicy}>
+                  <Text style={styles.downloadButtonText}>Save Photo Format</Text>
+                </Pressable>
+                <Pressable
+                  style={[styles.clearButtonAlt, { marginTop: 0 }, migrating && styles.downloadButtonDisabled]}
+                  onPress={confirmMigratePhotos}
+                  disabled={migrating}
+                >
+                  <Text style={styles.clearButtonAltText}>
+                    {migrating ? migrateProgress || 'Normalizing…' : 'Normalize Existing Photos'}
+                  </Text>
+                </Pressable>
+              </View>
             </>
           )}
         </View>
@@ -366,11 +810,62 @@ export default function SettingsScreen({ onBack }) {
               <Text style={styles.statValue}>{localPhotoCount}</Text>
               <Text style={styles.statLabel}>Local Photos</Text>
             </View>
-            <View style={styles.statItem}>
+            <Pressable style={styles.statItem} onPress={() => setShowUploadQueue(true)}>
               <Text style={styles.statValue}>{pendingUploadCount}</Text>
-              <Text style={styles.statLabel}>Pending Upload</Text>
+              <Text style={styles.statLabel}>
+                Pending Upload{failedUploadCount > 0 ? ` · ${failedUploadCount} failed` : ''}
+              </Text>
+            </Pressable>
+          </View>
+
+          <View style={styles.subsection}>
+            <Text style={styles.subsectionTitle}>Automatic Sync</Text>
+            <View style={styles.switchRow}>
+              <Text style={styles.switchLabel}>Pause automatic uploads</Text>
+              <Switch value={syncSettings.paused} onValueChange={(paused) => updateSyncSettings({ paused })} />
+            </View>
+            <View style={styles.switchRow}>
+              <Text style={styles.switchLabel}>Upload on Wi-Fi only</Text>
+              <Switch value={syncSettings.wifiOnly} onValueChange={(wifiOnly) => updateSyncSettings({ wifiOnly })} />
+            </View>
+            <Text style={styles.sectionDescription}>Parallel transfers during Sync Now</Text>
+            <View style={styles.searchRow}>
+              {TRANSFER_CONCURRENCY_OPTIONS.map((count) => (
+                <Pressable
+                  key={count}
+                  style={[styles.formatChip, syncSettings.transferConcurrency === count && styles.formatChipSelected]}
+                  onPress={() => updateSyncSettings({ transferConcurrency: count })}
+                >
+                  <Text style={styles.formatChipText}>{count}</Text>
+                </Pressable>
+              ))}
+            </View>
+            <Text style={styles.sectionDescription}>Check for pending uploads every</Text>
+            <View style={styles.searchRow}>
+              {SYNC_INTERVAL_OPTIONS_MIN.map((minutes) => (
+                <Pressable
+                  key={minutes}
+                  style={[styles.formatChip, syncSettings.intervalMinutes === minutes && styles.formatChipSelected]}
+                  onPress={() => updateSyncSettings({ intervalMinutes: minutes })}
+                >
+                  <Text style={styles.formatChipText}>{minutes < 60 ? `${minutes}m` : `${minutes / 60}h`}</Text>
+                </Pressable>
+              ))}
             </View>
           </View>
+
+          {backgroundSync && (
+            <Text style={styles.sectionDescription}>
+              {formatBackgroundSync(backgroundSync)}
+            </Text>
+          )}
+
+          <PhotoCoverageCard
+            key={coverageVersion}
+            tournament={selectedTournament}
+            manualPlayers={manualPlayers}
+            onCapturePlayer={onCapturePlayer}
+          />
           
           <Pressable
             style={[styles.syncButton, syncing && styles.syncButtonDisabled]}
@@ -389,15 +884,84 @@ export default function SettingsScreen({ onBack }) {
             )}
           </Pressable>
 
+          {syncing && (
+            <View style={styles.transferPanel}>
+              {transferProgress && (
+                <View style={styles.transferTrack}>
+                  <View style={[styles.transferFill, { width: `${Math.round(transferProgress.fraction * 100)}%` }]} />
+                </View>
+              )}
+              <Pressable style={styles.retryButton} onPress={cancelSync}>
+                <Text style={styles.retryButtonText}>Cancel</Text>
+              </Pressable>
+            </View>
+          )}
+
           <Pressable
             style={styles.clearButtonAlt}
             onPress={() => setShowPhotoBrowser(true)}
           >
             <Text style={styles.clearButtonAltText}>View Local Photos</Text>
           </Pressable>
+
+          <Pressable
+            style={styles.clearButtonAlt}
+            onPress={() => setShowBulkImport(true)}
+          >
+            <Text style={styles.clearButtonAltText}>Bulk Import Photos</Text>
+          </Pressable>
+
+          <Pressable
+            style={styles.clearButtonAlt}
+            onPress={() => setShowUploadQueue(true)}
+          >
+            <Text style={styles.clearButtonAltText}>View Upload Queue</Text>
+          </Pressable>
+
+          <Pressable
+            style={styles.clearButtonAlt}
+            onPress={() => {
+              if (!supabaseReady) {
+                Alert.alert('Supabase not configured', 'Add EXPO_PUBLIC_SUPABASE_URL and EXPO_PUBLIC_SUPABASE_ANON_KEY to .env, then reload the app.');
+                return;
+              }
+              setShowConflicts(true);
+            }}
+          >
+            <Text style={styles.clearButtonAltText}>Review Conflicts</Text>
+          </Pressable>
         </View>
       </ScrollView>
 
+      <Modal visible={showUploadQueue} animationType="slide" onRequestClose={() => setShowUploadQueue(false)}>
+        <UploadQueueScreen
+          onClose={() => setShowUploadQueue(false)}
+          onChanged={loadPhotoStats}
+        />
+      </Modal>
+
+      <Modal visible={showConflicts} animationType="slide" onRequestClose={() => setShowConflicts(false)}>
+        <PhotoConflictsScreen
+          onClose={() => setShowConflicts(false)}
+          onResolved={() => {
+            loadPhotoStats();
+            setCoverageVersion((v) => v + 1);
+          }}
+        />
+      </Modal>
+
+      <Modal visible={showBulkImport} animationType="slide" onRequestClose={() => setShowBulkImport(false)}>
+        <BulkImportScreen
+          tournament={selectedTournament}
+          manualPlayers={manualPlayers}
+          onClose={() => setShowBulkImport(false)}
+          onImported={() => {
+            loadPhotoStats();
+            setCoverageVersion((v) => v + 1);
+          }}
+        />
+      </Modal>
+
       <Modal visible={showPhotoBrowser} animationType="slide" onRequestClose={() => setShowPhotoBrowser(false)}>
         <PhotoBrowserScreen
           onClose={() => setShowPhotoBrowser(false)}
@@ -410,6 +974,83 @@ export default function SettingsScreen({ onBack }) {
   );
 }
 
+function tournamentKey(tournament) {
+  return `${tournament.clubId}_${tournament.tournamentId}`;
+}
+
+// Form fields are strings while editing; stored search uses numbers/null.
+function toSearchForm(search) {
+  return {
+    keyword: search.keyword || '',
+    clubId: search.clubId ? String(search.clubId) : '',
+    fromYear: search.fromYear ? String(search.fromYear) : '',
+    toYear: search.toYear ? String(search.toYear) : '',
+    includePast: !!search.includePast,
+  };
+}
+
+function parseYear(value) {
+  const year = parseInt(value, 10);
+  return year >= 2000 && year <= 2100 ? year : null;
+}
+
+const STORAGE_LAYOUT_OPTIONS = [
+  { layout: STORAGE_LAYOUTS.FLAT, label: 'Flat' },
+  { layout: STORAGE_LAYOUTS.CLUB, label: 'Per club' },
+  { layout: STORAGE_LAYOUTS.TOURNAMENT, label: 'Per tournament' },
+];
+
+function storageLayoutExample(layout, tournament) {
+  if (layout === STORAGE_LAYOUTS.CLUB) return `club/${tournament ? tournament.clubId : '<clubId>'}/johnsmith.jpg`;
+  if (layout === STORAGE_LAYOUTS.TOURNAMENT) return `tournament/${tournament ? tournament.tournamentId : '<tournamentId>'}/johnsmith.jpg`;
+  return 'the bucket root, e.g. johnsmith.jpg';
+}
+
+const BACKGROUND_OUTCOME_LABELS = {
+  uploaded: 'uploaded',
+  partial: 'partly uploaded',
+  idle: 'nothing to upload',
+  failed: 'failed',
+  skipped: 'skipped',
+};
+
+function formatBackgroundSync({ available, denied, registered, lastRun }) {
+  if (denied) return 'Background sync: disabled in system settings';
+  if (!available) return 'Background sync: not available on this device';
+  if (!registered) return 'Background sync: not scheduled';
+  if (!lastRun) return 'Background sync: scheduled, has not run yet';
+
+  const counts = lastRun.uploaded || lastRun.failed ? ` (${lastRun.uploaded} uploaded, ${lastRun.failed} failed)` : '';
+  const error = lastRun.error ? ` — ${lastRun.error}` : '';
+  return `Background sync: last ran ${formatTimeAgo(lastRun.finishedAt)}, ${BACKGROUND_OUTCOME_LABELS[lastRun.outcome] || lastRun.outcome}${counts}${error}`;
+}
+
+function formatRosterDiff(diff) {
+  if (!diff) return '';
+  const { added, withdrawn, renamed } = diff;
+  if (added.length === 0 && withdrawn.length === 0 && renamed.length === 0) {
+    return '\n\nNo changes since the last download.';
+  }
+  const list = (items) => {
+    const shown = items.slice(0, DIFF_LIST_LIMIT).map((line) => `  • ${line}`);
+    if (items.length > DIFF_LIST_LIMIT) shown.push(`  …and ${items.length - DIFF_LIST_LIMIT} more`);
+    return shown.join('\n');
+  };
+  const sections = [];
+  if (added.length > 0) sections.push(`Added (${added.length}):\n${list(added.map((p) => p.name))}`);
+  if (withdrawn.length > 0) sections.push(`Withdrawn (${withdrawn.length}):\n${list(withdrawn.map((p) => p.name))}`);
+  // Same name elsewhere is a club change; its photo already moved over
+  const moved = renamed.filter(isClubChange);
+  const unconfirmed = renamed.filter((r) => !isClubChange(r));
+  if (moved.length > 0) {
+    sections.push(`Changed club or spelling (${moved.length}):\n${list(moved.map((r) => (r.from.club === r.to.club ? `${r.from.name} → ${r.to.name}` : `${r.to.name}: ${r.from.club || 'no club'} → ${r.to.club || 'no club'}`)))}`);
+  }
+  if (unconfirmed.length > 0) {
+    sections.push(`Probably renamed (${unconfirmed.length}):\n${list(unconfirmed.map((r) => `${r.from.name} → ${r.to.name}`))}`);
+  }
+  return `\n\n${sections.join('\n\n')}`;
+}
+
 const styles = StyleSheet.create({
   container: {
     flex: 1,
@@ -524,6 +1165,30 @@ const styles = StyleSheet.create({
     fontWeight: '700',
     marginLeft: 8,
   },
+  formatChip: {
+    flex: 1,
+    paddingVertical: 10,
+    borderRadius: 8,
+    alignItems: 'center',
+    backgroundColor: '#1e293b',
+    borderWidth: 1,
+    borderColor: '#334155',
+  },
+  formatChipSelected: {
+    backgroundColor: '#2563eb',
+    borderColor: '#2563eb',
+  },
+  formatChipText: {
+    color: '#e2e8f0',
+    fontWeight: '600',
+  },
+  favoriteButton: {
+    marginLeft: 12,
+  },
+  favoriteText: {
+    color: '#fbbf24',
+    fontSize: 18,
+  },
   addPlayerForm: {
     flexDirection: 'row',
     gap: 8,
@@ -605,6 +1270,20 @@ const styles = StyleSheet.create({
     fontWeight: '600',
     textAlign: 'center',
   },
+  transferPanel: {
+    marginTop: 8,
+    gap: 8,
+  },
+  transferTrack: {
+    height: 6,
+    borderRadius: 3,
+    backgroundColor: '#1e293b',
+    overflow: 'hidden',
+  },
+  transferFill: {
+    height: '100%',
+    backgroundColor: '#2563eb',
+  },
   syncButton: {
     backgroundColor: '#2563eb',
     paddingVertical: 14,
@@ -643,6 +1322,61 @@ const styles = StyleSheet.create({
     fontSize: 14,
     fontWeight: '600',
   },
+  searchToggle: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    paddingVertical: 10,
+    paddingHorizontal: 12,
+    backgroundColor: '#1e293b',
+    borderRadius: 8,
+    marginBottom: 12,
+  },
+  searchToggleText: {
+    color: '#e2e8f0',
+    fontSize: 14,
+    flex: 1,
+  },
+  searchPanel: {
+    gap: 8,
+    marginBottom: 12,
+  },
+  searchInput: {
+    backgroundColor: '#1e293b',
+    color: '#e2e8f0',
+    borderRadius: 8,
+    paddingHorizontal: 12,
+    paddingVertical: 10,
+    borderWidth: 1,
+    borderColor: '#334155',
+  },
+  searchRow: {
+    flexDirection: 'row',
+    gap: 8,
+  },
+  switchRow: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    paddingVertical: 4,
+  },
+  switchLabel: {
+    color: '#e2e8f0',
+    fontSize: 14,
+  },
+  retryButton: {
+    alignSelf: 'flex-start',
+    marginTop: 8,
+    paddingHorizontal: 12,
+    paddingVertical: 6,
+    backgroundColor: '#334155',
+    borderRadius: 6,
+  },
+  retryButtonText: {
+    color: '#e2e8f0',
+    fontSize: 12,
+    fontWeight: '600',
+  },
   downloadButton: {
     backgroundColor: '#10b981',
     paddingVertical: 12,
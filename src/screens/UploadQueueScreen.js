@@ -0,0 +1,318 @@
+import React, { useEffect, useState } from 'react';
+import { View, Text, FlatList, StyleSheet, Pressable, ActivityIndicator, Alert } from 'react-native';
+import { SafeAreaView } from 'react-native-safe-area-context';
+import { UPLOAD_STATE, clearCompletedUploads, dropUpload, getUploadQueue, retryUpload } from '../storage/photoStore.js';
+import { hasSupabaseConfig, uploadQueuedPhoto } from '../services/supabaseService.js';
+import { formatBytes, formatTimeAgo } from '../helpers/utils.js';
+
+const STATE_ORDER = [UPLOAD_STATE.FAILED, UPLOAD_STATE.UPLOADING, UPLOAD_STATE.PENDING, UPLOAD_STATE.DONE];
+
+const STATE_COLORS = {
+  [UPLOAD_STATE.PENDING]: '#2563eb',
+  [UPLOAD_STATE.UPLOADING]: '#f59e0b',
+  [UPLOAD_STATE.FAILED]: '#dc2626',
+  [UPLOAD_STATE.DONE]: '#16a34a',
+};
+
+export default function UploadQueueScreen({ onClose, onChanged = () => {} }) {
+  const [entries, setEntries] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [expandedPath, setExpandedPath] = useState(null);
+  const [busyPath, setBusyPath] = useState(null);
+
+  useEffect(() => {
+    loadQueue();
+  }, []);
+
+  async function loadQueue() {
+    try {
+      const queue = await getUploadQueue();
+      setEntries([...queue].sort((a, b) => {
+        const byState = STATE_ORDER.indexOf(a.state) - STATE_ORDER.indexOf(b.state);
+        return byState !== 0 ? byState : b.updatedAt - a.updatedAt;
+      }));
+    } catch (err) {
+      console.error('Failed to load upload queue:', err);
+      Alert.alert('Error', 'Failed to load upload queue: ' + err.message);
+    } finally {
+      setLoading(false);
+    }
+  }
+
+  async function handleRetry(entry) {
+    if (!hasSupabaseConfig()) {
+      Alert.alert('Supabase not configured', 'Add EXPO_PUBLIC_SUPABASE_URL and EXPO_PUBLIC_SUPABASE_ANON_KEY to .env, then reload the app.');
+      return;
+    }
+    setBusyPath(entry.path);
+    try {
+      await retryUpload(entry.path);
+      await uploadQueuedPhoto(entry.path);
+    } finally {
+      setBusyPath(null);
+      await loadQueue();
+      onChanged();
+    }
+  }
+
+  function confirmDrop(entry) {
+    Alert.alert(
+      'Drop Upload',
+      `Stop trying to upload ${entry.fileName}? The photo stays on this device.`,
+      [
+        { text: 'Cancel', style: 'cancel' },
+        {
+          text: 'Drop',
+          style: 'destructive',
+          onPress: async () => {
+            await dropUpload(entry.path);
+            await loadQueue();
+            onChanged();
+          },
+        },
+      ]
+    );
+  }
+
+  async function handleClearCompleted() {
+    await clearCompletedUploads();
+    await loadQueue();
+    onChanged();
+  }
+
+  function describeEntry(entry) {
+    const parts = [entry.state];
+    if (entry.attempts > 0) parts.push(`${entry.attempts} ${entry.attempts === 1 ? 'attempt' : 'attempts'}`);
+    if (entry.bytes) parts.push(formatBytes(entry.bytes));
+    if (entry.state === UPLOAD_STATE.FAILED) {
+      parts.push(entry.nextRetryAt ? `retry ${formatRetryTime(entry.nextRetryAt)}` : 'gave up');
+    }
+    return parts.join(' · ');
+  }
+
+  function renderEntry({ item }) {
+    const expanded = expandedPath === item.path;
+    const busy = busyPath === item.path;
+    return (
+      <Pressable style={styles.entry} onPress={() => setExpandedPath(expanded ? null : item.path)}>
+        <View style={styles.entryHeader}>
+          <View style={[styles.stateDot, { backgroundColor: STATE_COLORS[item.state] || '#64748b' }]} />
+          <View style={styles.entryBody}>
+            <Text style={styles.entryName} numberOfLines={1}>{item.fileName}</Text>
+            <Text style={styles.entryMeta}>{describeEntry(item)}</Text>
+            {item.lastError && !expanded && (
+              <Text style={styles.entryError} numberOfLines={1}>{item.lastError}</Text>
+            )}
+          </View>
+        </View>
+
+        {expanded && (
+          <View style={styles.details}>
+            <Text style={styles.detailText}>Queued {formatTimeAgo(item.queuedAt)} · updated {formatTimeAgo(item.updatedAt)}</Text>
+            <Text style={styles.detailText} numberOfLines={2}>{item.path}</Text>
+            {(item.errors || []).map((error) => (
+              <Text key={error.at} style={styles.entryError}>
+                {formatTimeAgo(error.at)}: {error.message}
+              </Text>
+            ))}
+            <View style={styles.entryActions}>
+              {item.state !== UPLOAD_STATE.DONE && (
+                <Pressable
+                  style={[styles.actionButton, busy && styles.actionButtonDisabled]}
+                  onPress={() => handleRetry(item)}
+                  disabled={busy}
+                >
+                  <Text style={styles.actionButtonText}>{busy ? 'Uploading…' : 'Retry Now'}</Text>
+                </Pressable>
+              )}
+              <Pressable style={[styles.actionButton, styles.dropButton]} onPress={() => confirmDrop(item)} disabled={busy}>
+                <Text style={styles.actionButtonText}>{item.state === UPLOAD_STATE.DONE ? 'Remove' : 'Drop'}</Text>
+              </Pressable>
+            </View>
+          </View>
+        )}
+      </Pressable>
+    );
+  }
+
+  const openCount = entries.filter((e) => e.state !== UPLOAD_STATE.DONE).length;
+
+  return (
+    <SafeAreaView style={styles.container} edges={['top', 'bottom']}>
+      <View style={styles.header}>
+        <Text style={styles.title}>Upload Queue ({openCount})</Text>
+        <Pressable onPress={onClose} style={styles.closeButton}>
+          <Text style={styles.closeButtonText}>✕</Text>
+        </Pressable>
+      </View>
+
+      <View style={styles.toolbar}>
+        <Pressable style={styles.toolbarButton} onPress={handleClearCompleted}>
+          <Text style={styles.toolbarButtonText}>Clear Completed</Text>
+        </Pressable>
+      </View>
+
+      {loading ? (
+        <View style={styles.emptyContainer}>
+          <ActivityIndicator size="large" color="#2563eb" />
+        </View>
+      ) : entries.length === 0 ? (
+        <View style={styles.emptyContainer}>
+          <Text style={styles.emptyText}>Nothing queued</Text>
+          <Text style={styles.emptySubtext}>New and retaken photos appear here until they reach Supabase</Text>
+        </View>
+      ) : (
+        <FlatList
+          data={entries}
+          renderItem={renderEntry}
+          keyExtractor={(item) => item.path}
+          contentContainerStyle={styles.list}
+        />
+      )}
+    </SafeAreaView>
+  );
+}
+
+function formatRetryTime(timestamp) {
+  const minutes = Math.ceil((timestamp - Date.now()) / 60000);
+  if (minutes <= 0) return 'due now';
+  return minutes < 60 ? `in ${minutes} min` : `in ${Math.round(minutes / 60)} h`;
+}
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: '#0f172a',
+  },
+  header: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    paddingHorizontal: 16,
+    paddingTop: 35,
+    paddingBottom: 12,
+    borderBottomWidth: 1,
+    borderBottomColor: '#1e293b',
+  },
+  title: {
+    color: '#e2e8f0',
+    fontSize: 20,
+    fontWeight: '700',
+  },
+  closeButton: {
+    width: 36,
+    height: 36,
+    borderRadius: 18,
+    backgroundColor: '#1e293b',
+    justifyContent: 'center',
+    alignItems: 'center',
+  },
+  closeButtonText: {
+    color: '#e2e8f0',
+    fontSize: 20,
+    fontWeight: '700',
+  },
+  toolbar: {
+    paddingHorizontal: 16,
+    paddingVertical: 8,
+  },
+  toolbarButton: {
+    backgroundColor: '#334155',
+    paddingVertical: 10,
+    borderRadius: 8,
+    alignItems: 'center',
+  },
+  toolbarButtonText: {
+    color: '#e2e8f0',
+    fontWeight: '700',
+    fontSize: 14,
+  },
+  emptyContainer: {
+    flex: 1,
+    justifyContent: 'center',
+    alignItems: 'center',
+    paddingHorizontal: 32,
+  },
+  emptyText: {
+    color: '#e2e8f0',
+    fontSize: 18,
+    fontWeight: '600',
+    marginBottom: 8,
+  },
+  emptySubtext: {
+    color: '#94a3b8',
+    fontSize: 14,
+    textAlign: 'center',
+  },
+  list: {
+    padding: 16,
+    gap: 8,
+  },
+  entry: {
+    backgroundColor: '#1e293b',
+    borderRadius: 8,
+    padding: 12,
+  },
+  entryHeader: {
+    flexDirection: 'row',
+    alignItems: 'center',
+  },
+  stateDot: {
+    width: 10,
+    height: 10,
+    borderRadius: 5,
+    marginRight: 12,
+  },
+  entryBody: {
+    flex: 1,
+  },
+  entryName: {
+    color: '#e2e8f0',
+    fontSize: 15,
+    fontWeight: '600',
+  },
+  entryMeta: {
+    color: '#94a3b8',
+    fontSize: 12,
+    marginTop: 2,
+  },
+  entryError: {
+    color: '#fca5a5',
+    fontSize: 12,
+    marginTop: 4,
+  },
+  details: {
+    marginTop: 8,
+    paddingTop: 8,
+    borderTopWidth: 1,
+    borderTopColor: '#334155',
+  },
+  detailText: {
+    color: '#94a3b8',
+    fontSize: 12,
+    marginBottom: 4,
+  },
+  entryActions: {
+    flexDirection: 'row',
+    gap: 8,
+    marginTop: 8,
+  },
+  actionButton: {
+    flex: 1,
+    backgroundColor: '#2563eb',
+    paddingVertical: 8,
+    borderRadius: 8,
+    alignItems: 'center',
+  },
+  actionButtonDisabled: {
+    backgroundColor: '#1f2937',
+  },
+  dropButton: {
+    backgroundColor: '#7f1d1d',
+  },
+  actionButtonText: {
+    color: '#e2e8f0',
+    fontWeight: '700',
+    fontSize: 14,
+  },
+});
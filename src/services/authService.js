@@ -0,0 +1,172 @@
+// Volunteer sign-in against Supabase Auth (GoTrue REST API). The session lives in
+// AsyncStorage so the background upload task can use it too.
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import { getSupabaseConfig } from './supabaseConfig.js';
+
+const SESSION_KEY = '@auth_session_v1';
+// Refresh a little before expiry so a token never lapses mid-upload
+const REFRESH_MARGIN_MS = 60 * 1000;
+export const AUTH_REDIRECT_URL = 'rn-tournament-players://auth-callback';
+
+let cachedSession;
+let refreshing = null;
+const listeners = new Set();
+
+function toSession(data) {
+  return {
+    accessToken: data.access_token,
+    refreshToken: data.refresh_token,
+    expiresAt: data.expires_at ? data.expires_at * 1000 : Date.now() + Number(data.expires_in) * 1000,
+    user: data.user ? { id: data.user.id, email: data.user.email } : null,
+  };
+}
+
+async function storeSession(session) {
+  cachedSession = session;
+  if (session) {
+    await AsyncStorage.setItem(SESSION_KEY, JSON.stringify(session));
+  } else {
+    await AsyncStorage.removeItem(SESSION_KEY);
+  }
+  listeners.forEach((listener) => listener(session));
+  return session;
+}
+
+async function authRequest(path, body, accessToken = null) {
+  const { url, anonKey } = getSupabaseConfig();
+  const response = await fetch(`${url}/auth/v1/${path}`, {
+    method: 'POST',
+    headers: {
+      apikey: anonKey,
+      Authorization: `Bearer ${accessToken || anonKey}`,
+      'Content-Type': 'application/json',
+    },
+    body: JSON.stringify(body),
+  });
+  const text = await response.text();
+  let data = null;
+  try {
+    data = text ? JSON.parse(text) : null;
+  } catch (_) {
+    data = null;
+  }
+  if (!response.ok) {
+    const message = data?.error_description || data?.msg || data?.message || text || `HTTP ${response.status}`;
+    const err = new Error(message);
+    err.status = response.status;
+    throw err;
+  }
+  return data;
+}
+
+/**
+ * Current session `{ accessToken, refreshToken, expiresAt, user: { id, email } }` or null.
+ * May be expired; use getAccessToken() for requests.
+ */
+export async function getSession() {
+  if (cachedSession !== undefined) return cachedSession;
+  try {
+    cachedSession = JSON.parse(await AsyncStorage.getItem(SESSION_KEY));
+  } catch (_) {
+    cachedSession = null;
+  }
+  return cachedSession;
+}
+
+export async function signInWithPassword(email, password) {
+  const data = await authRequest('token?grant_type=password', { email: email.trim(), password });
+  return storeSession(toSession(data));
+}
+
+/**
+ * Email a sign-in link. Opening it on this device lands on AUTH_REDIRECT_URL,
+ * which App.js hands to completeSignInFromUrl. Only existing users can sign in.
+ */
+export async function sendMagicLink(email) {
+  await authRequest(`otp?redirect_to=${encodeURIComponent(AUTH_REDIRECT_URL)}`, {
+    email: email.trim(),
+    create_user: false,
+  });
+}
+
+/**
+ * Finish a magic-link sign-in from the redirect URL (tokens arrive in the fragment).
+ * Returns the session, or null if the URL is not an auth callback.
+ */
+export async function completeSignInFromUrl(redirectUrl) {
+  if (!redirectUrl || !redirectUrl.startsWith(AUTH_REDIRECT_URL)) return null;
+  const fragment = redirectUrl.includes('#') ? redirectUrl.slice(redirectUrl.indexOf('#') + 1) : '';
+  const params = {};
+  fragment.split('&').filter(Boolean).forEach((pair) => {
+    const [key, value = ''] = pair.split('=');
+    params[decodeURIComponent(key)] = decodeURIComponent(value);
+  });
+  if (params.error_description) throw new Error(params.error_description);
+  if (!params.access_token || !params.refresh_token) return null;
+
+  const session = toSession(params);
+  // The fragment has no user object; ask Auth who this token belongs to
+  const { url, anonKey } = getSupabaseConfig();
+  const response = await fetch(`${url}/auth/v1/user`, {
+    headers: { apikey: anonKey, Authorization: `Bearer ${session.accessToken}` },
+  });
+  if (response.ok) {
+    const user = await response.json();
+    session.user = { id: user.id, email: user.email };
+  }
+  return storeSession(session);
+}
+
+async function refreshSession(session) {
+  try {
+    const data = await authRequest('token?grant_type=refresh_token', { refresh_token: session.refreshToken });
+    return await storeSession(toSession(data));
+  } catch (err) {
+    // A rejected refresh token means the session is gone; network errors keep it for later
+    if (err.status === 400 || err.status === 401) {
+      console.warn('Session refresh rejected, signing out', err.message);
+      return storeSession(null);
+    }
+    throw err;
+  }
+}
+
+/**
+ * A valid access token for the signed-in volunteer, refreshed if it is about to
+ * expire, or null when nobody is signed in.
+ */
+export async function getAccessToken() {
+  const session = await getSession();
+  if (!session) return null;
+  if (session.expiresAt - REFRESH_MARGIN_MS > Date.now()) return session.accessToken;
+
+  // Concurrent uploads share one refresh request
+  if (!refreshing) {
+    refreshing = refreshSession(session).finally(() => {
+      refreshing = null;
+    });
+  }
+  const refreshed = await refreshing;
+  return refreshed ? refreshed.accessToken : null;
+}
+
+export async function signOut() {
+  const session = await getSession();
+  if (session) {
+    try {
+      await authRequest('logout', {}, session.accessToken);
+    } catch (err) {
+      console.warn('Sign-out request failed', err.message);
+    }
+  }
+  await storeSession(null);
+}
+
+/**
+ * Get called with the new session (or null) on sign-in, refresh and sign-out.
+ * Returns an unsubscribe function.
+ */
+export function subscribeAuth(listener) {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+}
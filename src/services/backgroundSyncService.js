@@ -0,0 +1,122 @@
+// OS-scheduled upload of pending photos while the app is backgrounded or closed.
+// The task must be defined at module load, so App.js imports this file before rendering.
+import * as BackgroundFetch from 'expo-background-fetch';
+import * as TaskManager from 'expo-task-manager';
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import { getPendingUploads } from '../storage/photoStore.js';
+import { getSyncSettings, hasStorageFolder } from '../storage/settingsStore.js';
+import { hasSupabaseConfig, uploadAllPhotos } from './supabaseService.js';
+import { describeSyncBlock, getConnectivity, getSyncBlockReason } from './connectivityService.js';
+import { getSession } from './authService.js';
+
+export const BACKGROUND_SYNC_TASK = 'tournament-players-background-sync';
+const RUN_HISTORY_KEY = '@background_sync_runs_v1';
+const MAX_RUN_HISTORY = 20;
+const MIN_OS_INTERVAL_S = 15 * 60; // iOS will not go below ~15 minutes anyway
+
+TaskManager.defineTask(BACKGROUND_SYNC_TASK, async () => {
+  const run = await runBackgroundSync();
+  if (run.outcome === 'failed') return BackgroundFetch.BackgroundFetchResult.Failed;
+  return run.uploaded > 0 ? BackgroundFetch.BackgroundFetchResult.NewData : BackgroundFetch.BackgroundFetchResult.NoData;
+});
+
+/**
+ * Drain the pending upload list once and record the run.
+ * outcome: 'uploaded' | 'idle' | 'partial' | 'failed' | 'skipped'
+ */
+export async function runBackgroundSync() {
+  const startedAt = Date.now();
+  let run;
+  try {
+    if (!hasSupabaseConfig()) {
+      run = { outcome: 'skipped', uploaded: 0, failed: 0, error: 'Supabase not configured' };
+    } else {
+      const signedIn = !!(await getSession());
+      const blockReason = getSyncBlockReason(await getSyncSettings(), await getConnectivity(), signedIn, await hasStorageFolder());
+      const pending = await getPendingUploads();
+      if (blockReason) {
+        run = { outcome: 'skipped', uploaded: 0, failed: 0, error: describeSyncBlock(blockReason) };
+      } else if (pending.length === 0) {
+        run = { outcome: 'idle', uploaded: 0, failed: 0 };
+      } else {
+        const { uploaded, failed } = await uploadAllPhotos();
+        const outcome = failed === 0 ? 'uploaded' : uploaded > 0 ? 'partial' : 'failed';
+        run = { outcome, uploaded, failed };
+      }
+    }
+  } catch (err) {
+    console.warn('Background sync failed', err.message);
+    run = { outcome: 'failed', uploaded: 0, failed: 0, error: err.message };
+  }
+
+  const entry = { ...run, startedAt, finishedAt: Date.now() };
+  await recordRun(entry);
+  return entry;
+}
+
+async function recordRun(entry) {
+  try {
+    const runs = await getBackgroundSyncRuns();
+    await AsyncStorage.setItem(RUN_HISTORY_KEY, JSON.stringify([entry, ...runs].slice(0, MAX_RUN_HISTORY)));
+  } catch (err) {
+    console.warn('Could not record background sync run', err.message);
+  }
+}
+
+/**
+ * Recorded background runs, newest first.
+ */
+export async function getBackgroundSyncRuns() {
+  const stored = await AsyncStorage.getItem(RUN_HISTORY_KEY);
+  if (!stored) return [];
+  try {
+    return JSON.parse(stored);
+  } catch (_) {
+    return [];
+  }
+}
+
+/**
+ * Schedule (or reschedule) the task using the sync interval setting, never below what the OS allows.
+ */
+export async function registerBackgroundSync() {
+  const { intervalMinutes } = await getSyncSettings();
+  const minimumInterval = Math.max(MIN_OS_INTERVAL_S, intervalMinutes * 60);
+  const status = await BackgroundFetch.getStatusAsync();
+  if (status !== BackgroundFetch.BackgroundFetchStatus.Available) {
+    console.warn('Background fetch unavailable, status:', status);
+    return false;
+  }
+  // Re-registering updates the interval if it changed
+  await BackgroundFetch.registerTaskAsync(BACKGROUND_SYNC_TASK, {
+    minimumInterval,
+    stopOnTerminate: false,
+    startOnBoot: true,
+  });
+  return true;
+}
+
+export async function unregisterBackgroundSync() {
+  if (await TaskManager.isTaskRegisteredAsync(BACKGROUND_SYNC_TASK)) {
+    await BackgroundFetch.unregisterTaskAsync(BACKGROUND_SYNC_TASK);
+  }
+}
+
+/**
+ * What Settings shows: whether the OS allows background fetch, whether our
+ * task is registered, and the most recent recorded run.
+ */
+export async function getBackgroundSyncStatus() {
+  const [status, registered, runs] = await Promise.all([
+    BackgroundFetch.getStatusAsync(),
+    TaskManager.isTaskRegisteredAsync(BACKGROUND_SYNC_TASK),
+    getBackgroundSyncRuns(),
+  ]);
+  return {
+    available: status === BackgroundFetch.BackgroundFetchStatus.Available,
+    denied: status === BackgroundFetch.BackgroundFetchStatus.Denied,
+    registered,
+    lastRun: runs[0] || null,
+    runs,
+  };
+}
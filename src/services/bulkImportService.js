@@ -0,0 +1,128 @@
+// Bulk import of photos inherited from a previous organizer: a ZIP, a folder
+// (Android) or a multi-selection of image files, matched to the roster by file name.
+import { Platform } from 'react-native';
+import * as FileSystem from 'expo-file-system/legacy';
+import * as DocumentPicker from 'expo-document-picker';
+import JSZip from 'jszip';
+import { isImportableImage } from '../helpers/photoMatching.js';
+import { formatBytes } from '../helpers/utils.js';
+import { savePhoto } from '../storage/photoStore.js';
+
+// Extracted/copied files wait here until the review screen imports or cancels
+const IMPORT_DIR = `${FileSystem.cacheDirectory}bulk-import/`;
+const ZIP_TYPES = ['application/zip', 'application/x-zip-compressed'];
+// The archive is unpacked in JS memory (base64 copy plus JSZip's own), so larger
+// ones would run Hermes out of memory; those go through the folder or image picker
+const MAX_ZIP_BYTES = 50 * 1024 * 1024;
+
+// Android exposes whole folders through the Storage Access Framework; iOS only picks files
+export const CAN_PICK_FOLDER = Platform.OS === 'android';
+
+async function resetImportDir() {
+  await FileSystem.deleteAsync(IMPORT_DIR, { idempotent: true });
+  await FileSystem.makeDirectoryAsync(IMPORT_DIR, { intermediates: true });
+}
+
+// Index prefix keeps same-named files from different ZIP folders apart
+function importPath(index, fileName) {
+  return `${IMPORT_DIR}${index}-${fileName.replace(/[^\w.-]+/g, '_')}`;
+}
+
+function baseName(path) {
+  return path.split('/').pop();
+}
+
+/**
+ * Let the user pick several image files. Resolves to `[{ fileName, uri }]`,
+ * or null when the picker was cancelled.
+ */
+export async function pickImportImages() {
+  const result = await DocumentPicker.getDocumentAsync({ type: 'image/*', multiple: true, copyToCacheDirectory: true });
+  if (result.canceled) return null;
+  return result.assets
+    .filter((asset) => isImportableImage(asset.name))
+    .map((asset) => ({ fileName: asset.name, uri: asset.uri }));
+}
+
+/**
+ * Let the user pick a ZIP (up to MAX_ZIP_BYTES) and extract its images into the import cache.
+ * Resolves to `[{ fileName, uri }]`, or null when cancelled.
+ */
+export async function pickImportZip(onProgress) {
+  const result = await DocumentPicker.getDocumentAsync({ type: ZIP_TYPES, copyToCacheDirectory: true });
+  if (result.canceled) return null;
+
+  const asset = result.assets[0];
+  const size = asset.size ?? (await FileSystem.getInfoAsync(asset.uri)).size;
+  if (!size || size > MAX_ZIP_BYTES) {
+    throw new Error(`This ZIP is ${size ? formatBytes(size) : 'of unknown size'}; archives up to ${formatBytes(MAX_ZIP_BYTES)} can be imported. Unzip it on a computer and import the folder or the images instead.`);
+  }
+
+  const base64 = await FileSystem.readAsStringAsync(asset.uri, { encoding: FileSystem.EncodingType.Base64 });
+  const zip = await JSZip.loadAsync(base64, { base64: true });
+  const entries = Object.values(zip.files).filter((entry) => !entry.dir && isImportableImage(entry.name));
+
+  await resetImportDir();
+  const files = [];
+  for (const [index, entry] of entries.entries()) {
+    const fileName = baseName(entry.name);
+    const uri = importPath(index, fileName);
+    await FileSystem.writeAsStringAsync(uri, await entry.async('base64'), { encoding: FileSystem.EncodingType.Base64 });
+    files.push({ fileName, uri });
+    if (onProgress) onProgress(index + 1, entries.length);
+  }
+  return files;
+}
+
+/**
+ * Let the user pick a folder (Android) and copy its images into the import cache.
+ * Subfolders are not searched. Resolves to `[{ fileName, uri }]`, or null when cancelled.
+ */
+export async function pickImportFolder(onProgress) {
+  if (!CAN_PICK_FOLDER) throw new Error('Folder import is only available on Android. Select the images instead.');
+  const { StorageAccessFramework } = FileSystem;
+  const permission = await StorageAccessFramework.requestDirectoryPermissionsAsync();
+  if (!permission.granted) return null;
+
+  // SAF URIs end in an encoded "primary:Folder/name.jpg" document id
+  const entries = (await StorageAccessFramework.readDirectoryAsync(permission.directoryUri))
+    .map((safUri) => ({ safUri, fileName: baseName(decodeURIComponent(safUri)) }))
+    .filter((entry) => isImportableImage(entry.fileName));
+
+  await resetImportDir();
+  const files = [];
+  for (const [index, entry] of entries.entries()) {
+    const uri = importPath(index, entry.fileName);
+    await FileSystem.copyAsync({ from: entry.safUri, to: uri });
+    files.push({ fileName: entry.fileName, uri });
+    if (onProgress) onProgress(index + 1, entries.length);
+  }
+  return files;
+}
+
+/**
+ * Save each `{ fileName, uri, player }` as the player's photo (encoded with the
+ * photo policy, previous photo kept in history, queued for upload).
+ * Resolves to `{ imported, failed: [{ fileName, error }] }`.
+ */
+export async function importPhotos(assignments, onProgress) {
+  let imported = 0;
+  const failed = [];
+  for (const [index, { fileName, uri, player }] of assignments.entries()) {
+    try {
+      // No quality check ran on these, so drop any score left from the previous photo
+      await savePhoto(player, uri, [], { quality: null });
+      imported += 1;
+    } catch (err) {
+      console.warn('Photo import failed', fileName, err.message);
+      failed.push({ fileName, error: err.message });
+    }
+    if (onProgress) onProgress(index + 1, assignments.length);
+  }
+  await clearImportCache();
+  return { imported, failed };
+}
+
+export async function clearImportCache() {
+  await FileSystem.deleteAsync(IMPORT_DIR, { idempotent: true });
+}
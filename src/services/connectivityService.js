@@ -0,0 +1,69 @@
+import * as Network from 'expo-network';
+
+export const SYNC_BLOCK = {
+  PAUSED: 'paused',
+  OFFLINE: 'offline',
+  NO_WIFI: 'no-wifi',
+  SIGNED_OUT: 'signed-out',
+  NO_FOLDER: 'no-folder',
+};
+
+/**
+ * Current connection as `{ isConnected, isWifi }`. If the state cannot be read
+ * we assume a connection and let the upload itself fail.
+ */
+export async function getConnectivity() {
+  try {
+    return toConnectivity(await Network.getNetworkStateAsync());
+  } catch (err) {
+    console.warn('Could not read network state', err.message);
+    return { isConnected: true, isWifi: false };
+  }
+}
+
+/**
+ * Get called with `{ isConnected, isWifi }` on every network change. Returns an unsubscribe function.
+ */
+export function subscribeConnectivity(listener) {
+  const subscription = Network.addNetworkStateListener((state) => listener(toConnectivity(state)));
+  return () => subscription.remove();
+}
+
+function toConnectivity(state) {
+  // isInternetReachable is null while unknown; only a definite false means offline
+  const isConnected = !!state.isConnected && state.isInternetReachable !== false;
+  return {
+    isConnected,
+    isWifi: isConnected && (state.type === Network.NetworkStateType.WIFI || state.type === Network.NetworkStateType.ETHERNET),
+  };
+}
+
+/**
+ * Why automatic sync may not run right now (one of SYNC_BLOCK), or null if it may.
+ */
+export function getSyncBlockReason(settings, connectivity, signedIn = true, folderReady = true) {
+  if (settings.paused) return SYNC_BLOCK.PAUSED;
+  if (!signedIn) return SYNC_BLOCK.SIGNED_OUT;
+  // Uploads would all fail (and use up their retries) until a tournament picks the folder
+  if (!folderReady) return SYNC_BLOCK.NO_FOLDER;
+  if (!connectivity.isConnected) return SYNC_BLOCK.OFFLINE;
+  if (settings.wifiOnly && !connectivity.isWifi) return SYNC_BLOCK.NO_WIFI;
+  return null;
+}
+
+export function describeSyncBlock(reason) {
+  switch (reason) {
+    case SYNC_BLOCK.PAUSED:
+      return 'Sync paused';
+    case SYNC_BLOCK.OFFLINE:
+      return 'Offline — photos will upload when back online';
+    case SYNC_BLOCK.NO_WIFI:
+      return 'Waiting for Wi-Fi to upload photos';
+    case SYNC_BLOCK.SIGNED_OUT:
+      return 'Sign in under Settings to upload photos';
+    case SYNC_BLOCK.NO_FOLDER:
+      return 'Select a tournament in Settings to upload photos';
+    default:
+      return '';
+  }
+}
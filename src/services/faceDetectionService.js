@@ -0,0 +1,50 @@
+// On-device face detection (ML Kit) used to place the initial crop around the player.
+import FaceDetection from '@react-native-ml-kit/face-detection';
+
+// Crop side as a multiple of the face size: room for hair, ears and shoulders
+const FACE_CROP_SCALE = 2.2;
+// Where the top of the face sits in the crop, as a fraction of the crop side
+const FACE_TOP_OFFSET = 0.22;
+
+/**
+ * Faces in `uri` as `[{ left, top, width, height }]` in image pixels, largest first.
+ * Resolves to null when detection is unavailable or fails, so callers can fall
+ * back to a centered crop.
+ */
+export async function detectFaces(uri) {
+  try {
+    const faces = await FaceDetection.detect(uri, { performanceMode: 'fast' });
+    return faces
+      .map(({ frame }) => ({ left: frame.left, top: frame.top, width: frame.width, height: frame.height }))
+      .sort((a, b) => b.width * b.height - a.width * a.height);
+  } catch (err) {
+    console.warn('Face detection failed', err.message);
+    return null;
+  }
+}
+
+/**
+ * Square crop `{ originX, originY, size }` (image pixels) around `face` with
+ * headroom above it, kept inside an image of `imageSize`.
+ */
+export function faceCropSquare(face, imageSize) {
+  const size = Math.min(Math.max(face.width, face.height) * FACE_CROP_SCALE, imageSize.width, imageSize.height);
+  const centerX = face.left + face.width / 2;
+  const originX = clamp(centerX - size / 2, 0, imageSize.width - size);
+  const originY = clamp(face.top - size * FACE_TOP_OFFSET, 0, imageSize.height - size);
+  return { originX, originY, size };
+}
+
+/**
+ * Warning for the crop screen, or '' when exactly one face was found.
+ */
+export function describeFaceResult(faces) {
+  if (faces === null) return '';
+  if (faces.length === 0) return 'No face found. Drag the box over the player.';
+  if (faces.length > 1) return `${faces.length} faces found. The crop is on the largest; check it is the right player.`;
+  return '';
+}
+
+function clamp(value, min, max) {
+  return Math.min(Math.max(value, min), Math.max(min, max));
+}
@@ -4,96 +4,174 @@ const OMNIPONG_HOST = 'https://www.omnipong.com/';
 const TOURNAMENT_SEARCH_PATH = 'T-tourney.asp?t=9&e=0';
 const OMNIPONG_LINK_PATTERN = /open_window\('([^']+)'/;
 const OMNIPONG_ID_PATTERN = /t=(\d*)&r=(\d*)/;
+const EMPTY_RESULTS_PATTERN = /no (tournaments|players|entries|records)( were)? (found|registered)/i;
+
+export const OMNIPONG_ERROR = {
+	NETWORK: 'network',
+	HTTP: 'http',
+	LAYOUT: 'layout',
+};
 
 /**
- * Fetch tournaments matching the Omnipong keyword search.
- * Mirrors the original MAUI service behavior.
+ * Raised by getTournaments/getPlayers so callers can tell "nothing registered"
+ * (an empty array) apart from a failed request or a page we can no longer parse.
  */
-export async function getTournaments({ keyword = 'HCTT', year = new Date().getFullYear() } = {}) {
-	try {
-		const now = new Date();
-		const currentYear = now.getFullYear();
-		const currentMonth = now.getMonth() + 1; // 1-12
-		const currentYearMonth = currentYear * 100 + currentMonth; // e.g., 202512
-
-		// Fetch current year
-		const body = new URLSearchParams({
-			Year: String(year),
-			Keyword: keyword,
-		}).toString();
-
-		const response = await fetch(`${OMNIPONG_HOST}${TOURNAMENT_SEARCH_PATH}`, {
-			method: 'POST',
-			headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
-			body,
-		});
+export class OmnipongError extends Error {
+	constructor(code, message, { status = null } = {}) {
+		super(message);
+		this.name = 'OmnipongError';
+		this.code = code;
+		this.status = status;
+	}
+}
 
-		if (!response.ok) {
-			throw new Error(`Omnipong tournament request failed: ${response.status}`);
-		}
+/**
+ * Short user-facing explanation for an error thrown by this service.
+ * @param {Error} error
+ * @returns {string}
+ */
+export function describeOmnipongError(error) {
+	switch (error?.code) {
+		case OMNIPONG_ERROR.NETWORK:
+			return 'Could not reach Omnipong. Check your connection.';
+		case OMNIPONG_ERROR.HTTP:
+			return `Omnipong returned an error (HTTP ${error.status}). Try again in a moment.`;
+		case OMNIPONG_ERROR.LAYOUT:
+			return 'Omnipong page layout changed; the app could not read it.';
+		default:
+			return error?.message || 'Unknown error';
+	}
+}
 
-		const html = await response.text();
-		let tournaments = parseTournamentTable(html);
+export const DEFAULT_TOURNAMENT_SEARCH = {
+	keyword: 'HCTT',
+	clubId: null,
+	fromYear: null, // null = current year
+	toYear: null, // null = next year
+	includePast: false,
+};
 
-		// Also fetch next year tournaments
-		const nextYear = currentYear + 1;
-		const nextYearBody = new URLSearchParams({
-			Year: String(nextYear),
-			Keyword: keyword,
-		}).toString();
+// One request per year, so wide ranges are refused rather than fetched
+export const MAX_SEARCH_YEARS = 5;
 
-		const nextYearResponse = await fetch(`${OMNIPONG_HOST}${TOURNAMENT_SEARCH_PATH}`, {
-			method: 'POST',
-			headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
-			body: nextYearBody,
-		});
+/**
+ * Years a search covers, with the defaults filled in (current year through next year).
+ * @param {{fromYear?: number|null, toYear?: number|null}} search
+ * @param {Date} [now]
+ * @returns {{firstYear: number, lastYear: number, tooWide: boolean}}
+ */
+export function searchYearRange({ fromYear, toYear } = {}, now = new Date()) {
+	const currentYear = now.getFullYear();
+	const firstYear = fromYear || currentYear;
+	const lastYear = Math.max(toYear || currentYear + 1, firstYear);
+	return { firstYear, lastYear, tooWide: lastYear - firstYear + 1 > MAX_SEARCH_YEARS };
+}
 
-		if (nextYearResponse.ok) {
-			const nextYearHtml = await nextYearResponse.text();
-			const nextYearTournaments = parseTournamentTable(nextYearHtml);
-			tournaments = [...tournaments, ...nextYearTournaments];
+/**
+ * Fetch tournaments matching the Omnipong keyword search.
+ * Mirrors the original MAUI service behavior: by default the current and next
+ * year are searched and events before this month are dropped.
+ * @param {object} [search]
+ * @param {string} [search.keyword]
+ * @param {number|null} [search.clubId] only keep tournaments hosted by this Omnipong club
+ * @param {number|null} [search.fromYear]
+ * @param {number|null} [search.toYear]
+ * @param {boolean} [search.includePast] keep events before the current month
+ * @throws {OmnipongError}
+ * @throws {Error} when the year range spans more than MAX_SEARCH_YEARS
+ */
+export async function getTournaments(search = {}) {
+	const { keyword, clubId, fromYear, toYear, includePast } = { ...DEFAULT_TOURNAMENT_SEARCH, ...search };
+	const now = new Date();
+	const currentYear = now.getFullYear();
+	const currentMonth = now.getMonth() + 1; // 1-12
+	const currentYearMonth = currentYear * 100 + currentMonth; // e.g., 202512
+
+	const { firstYear, lastYear, tooWide } = searchYearRange({ fromYear, toYear }, now);
+	if (tooWide) {
+		throw new Error(`Search ${firstYear}–${lastYear} spans more than ${MAX_SEARCH_YEARS} years; narrow the From/To years.`);
+	}
+
+	// Omnipong searches one year per request; a year whose page is not up yet should not sink the rest
+	let tournaments = [];
+	let firstError = null;
+	let succeeded = 0;
+	for (let year = firstYear; year <= lastYear; year += 1) {
+		try {
+			const html = await fetchTournamentPage(year, keyword);
+			tournaments = [...tournaments, ...parseTournamentTable(html)];
+			succeeded += 1;
+		} catch (error) {
+			console.warn(`Skipping ${year} tournaments:`, error.message);
+			firstError = firstError || error;
 		}
+	}
+	if (succeeded === 0 && firstError) throw firstError;
+
+	return tournaments.filter(tournament => {
+		if (clubId && tournament.clubId !== Number(clubId)) return false;
+		if (includePast) return true;
 
 		// Filter out past tournaments (keep current month and future)
-		return tournaments.filter(tournament => {
-			// Extract YYYYMM from tournament name (e.g., "HCTT 202512" or "202512")
-			const match = tournament.name.match(/(\d{6})/);
-			if (!match) return true; // Keep tournaments without date pattern
-			
-			const tournamentYearMonth = parseInt(match[1], 10);
-			return tournamentYearMonth >= currentYearMonth;
-		});
-	} catch (error) {
-		console.error('Failed to fetch tournaments:', error.message);
-		return [];
-	}
+		// Extract YYYYMM from tournament name (e.g., "HCTT 202512" or "202512")
+		const match = tournament.name.match(/(\d{6})/);
+		if (!match) return true; // Keep tournaments without date pattern
+
+		const tournamentYearMonth = parseInt(match[1], 10);
+		return tournamentYearMonth >= currentYearMonth;
+	});
 }
 
 /**
  * Fetch player list for a specific tournament link (relative or absolute).
+ * Each player is `{ id, name, rating, club, events }`; `id` is derived from
+ * name + club so it stays the same across refreshes.
+ * Resolves to [] only when the tournament genuinely has no entries.
+ * @throws {OmnipongError}
  */
 export async function getPlayers(tournamentLink) {
 	if (!tournamentLink) return [];
 
-	const resolvedLink = resolveLink(tournamentLink);
+	const html = await fetchHtml(resolveLink(tournamentLink), undefined, 'players');
+	return parsePlayers(html);
+}
+
+async function fetchTournamentPage(year, keyword) {
+	const body = new URLSearchParams({
+		Year: String(year),
+		Keyword: keyword,
+	}).toString();
+
+	return fetchHtml(`${OMNIPONG_HOST}${TOURNAMENT_SEARCH_PATH}`, {
+		method: 'POST',
+		headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+		body,
+	}, 'tournament');
+}
 
+async function fetchHtml(url, options, label) {
+	let response;
 	try {
-		const response = await fetch(resolvedLink);
-		if (!response.ok) {
-			throw new Error(`Omnipong players request failed: ${response.status}`);
-		}
+		response = await fetch(url, options);
+	} catch (error) {
+		throw new OmnipongError(OMNIPONG_ERROR.NETWORK, `Omnipong ${label} request failed: ${error.message}`);
+	}
+
+	if (!response.ok) {
+		throw new OmnipongError(OMNIPONG_ERROR.HTTP, `Omnipong ${label} request failed: ${response.status}`, {
+			status: response.status,
+		});
+	}
 
-		const html = await response.text();
-		return parsePlayers(html);
+	try {
+		return await response.text();
 	} catch (error) {
-		console.error('Failed to fetch players:', error.message);
-		return [];
+		throw new OmnipongError(OMNIPONG_ERROR.NETWORK, `Omnipong ${label} response interrupted: ${error.message}`);
 	}
 }
 
-
 function parseTournamentTable(html) {
-	const tableHtml = extractTable(html);
+	const tableHtml = requireTable(html, 'tournament');
 	const tournaments = [];
 	if (!tableHtml) return tournaments;
 
@@ -123,22 +201,34 @@ function parseTournamentTable(html) {
 }
 
 function parsePlayers(html) {
-	const tableHtml = extractTable(html);
+	const tableHtml = requireTable(html, 'players');
 	const players = [];
 	if (!tableHtml) return players;
 
 	const rows = tableHtml.match(/<tr[\s\S]*?<\/tr>/gi) || [];
-	let id = 1;
+	const columns = mapPlayerColumns(rows);
+	const seenIds = new Map();
 	for (const row of rows) {
 		try {
 			const cells = row.match(/<td[\s\S]*?<\/td>/gi) || [];
-			const nameCell = cells[0];
+			const nameCell = cells[columns.name];
 			if (!nameCell) continue;
 
-			const name = stripTags(nameCell).replace(/^-+/, '').trim();
+			const name = cellText(nameCell).replace(/^-+/, '').trim();
 			if (!name) continue;
 
-			players.push({ id: id++, name });
+			const club = cellText(cells[columns.club]) || null;
+			const ratingText = cellText(cells[columns.rating]);
+			const rating = /^\d+$/.test(ratingText) ? Number(ratingText) : null;
+			const events = splitEvents(cells[columns.events]);
+
+			// Same name + club twice in one roster is rare but possible; suffix keeps keys unique.
+			const baseId = createPlayerId(name, club);
+			const count = (seenIds.get(baseId) || 0) + 1;
+			seenIds.set(baseId, count);
+			const id = count > 1 ? `${baseId}-${count}` : baseId;
+
+			players.push({ id, name, rating, club, events });
 		} catch (err) {
 			console.warn('Skipping player row:', err.message);
 		}
@@ -147,6 +237,84 @@ function parsePlayers(html) {
 	return players;
 }
 
+/**
+ * Build a player ID from the roster content so it survives re-fetches.
+ * Rating and events change between downloads, so only name and club are used.
+ * @param {string} name
+ * @param {string|null} club
+ * @returns {string}
+ */
+export function createPlayerId(name, club = null) {
+	const key = `${normalizeKey(name)}|${normalizeKey(club)}`;
+	return `op-${hashString(key)}`;
+}
+
+// Locate columns by header text, falling back to the entry table's usual order.
+function mapPlayerColumns(rows) {
+	const columns = { name: 0, rating: 1, club: 2, events: 3 };
+	const headerRow = rows.find((row) => /<th[\s>]/i.test(row));
+	if (!headerRow) return columns;
+
+	const headers = (headerRow.match(/<th[\s\S]*?<\/th>/gi) || []).map((h) => cellText(h).toLowerCase());
+	const find = (pattern) => headers.findIndex((h) => pattern.test(h));
+	const nameIdx = find(/name|player/);
+	const ratingIdx = find(/rating/);
+	const clubIdx = find(/club/);
+	const eventsIdx = find(/event/);
+
+	return {
+		name: nameIdx === -1 ? columns.name : nameIdx,
+		rating: ratingIdx === -1 ? -1 : ratingIdx,
+		club: clubIdx === -1 ? -1 : clubIdx,
+		events: eventsIdx === -1 ? -1 : eventsIdx,
+	};
+}
+
+function splitEvents(cell) {
+	if (!cell) return [];
+	return decodeEntities(stripTags(cell.replace(/<br\s*\/?>/gi, ',')))
+		.split(',')
+		.map((e) => e.trim())
+		.filter(Boolean);
+}
+
+function cellText(cell) {
+	return decodeEntities(stripTags(cell)).replace(/\s+/g, ' ').trim();
+}
+
+function decodeEntities(value) {
+	return (value || '')
+		.replace(/&nbsp;/gi, ' ')
+		.replace(/&#(\d+);/g, (_, code) => String.fromCharCode(Number(code)))
+		.replace(/&quot;/gi, '"')
+		.replace(/&apos;/gi, "'")
+		.replace(/&lt;/gi, '<')
+		.replace(/&gt;/gi, '>')
+		.replace(/&amp;/gi, '&');
+}
+
+function normalizeKey(value) {
+	return (value || '').toLowerCase().replace(/\s+/g, ' ').trim();
+}
+
+// FNV-1a; small, sync, and good enough for roster-sized key spaces.
+function hashString(value) {
+	let hash = 0x811c9dc5;
+	for (let i = 0; i < value.length; i += 1) {
+		hash ^= value.charCodeAt(i);
+		hash = Math.imul(hash, 0x01000193);
+	}
+	return (hash >>> 0).toString(36);
+}
+
+// A missing results table means "no matches" only when Omnipong says so; otherwise the markup moved.
+function requireTable(html, label) {
+	const tableHtml = extractTable(html);
+	if (tableHtml !== null) return tableHtml;
+	if (EMPTY_RESULTS_PATTERN.test(stripTags(html))) return null;
+	throw new OmnipongError(OMNIPONG_ERROR.LAYOUT, `Omnipong ${label} page has no table.omnipong`);
+}
+
 function extractTable(html) {
 	const match = html.match(/<table[^>]*class=["']omnipong["'][^>]*>([\s\S]*?)<\/table>/i);
 	return match ? match[1] : null;
@@ -0,0 +1,114 @@
+// Scores a cropped photo for sharpness, exposure and resolution before it is saved.
+import * as ImageManipulator from 'expo-image-manipulator';
+import jpeg from 'jpeg-js';
+
+// Analysis runs on a small copy; large enough to keep edges, small enough to decode in JS
+const ANALYSIS_SIZE = 256;
+// Variance of the Laplacian at ANALYSIS_SIZE: below BLURRY is soft, SHARP and up scores full marks
+const BLURRY_VARIANCE = 60;
+const SHARP_VARIANCE = 200;
+// Mean luminance (0-255)
+const TOO_DARK = 55;
+const TOO_BRIGHT = 205;
+// Crop side in source pixels
+const TOO_SMALL = 320;
+const FULL_RESOLUTION = 640;
+
+export const QUALITY_ISSUE = {
+  BLURRY: 'blurry',
+  DARK: 'dark',
+  BRIGHT: 'bright',
+  SMALL: 'small',
+};
+
+/**
+ * Score the `crop` (ImageManipulator crop rect) of `uri`.
+ * Returns `{ score, sharpness, brightness, resolution, issues, checkedAt }`:
+ * score is 0-100 (the weakest of the three checks), issues lists QUALITY_ISSUE values.
+ */
+export async function assessPhotoQuality(uri, crop) {
+  const analysis = await ImageManipulator.manipulateAsync(
+    uri,
+    [{ crop }, { resize: { width: ANALYSIS_SIZE, height: ANALYSIS_SIZE } }],
+    { compress: 1, format: ImageManipulator.SaveFormat.JPEG, base64: true },
+  );
+  const { width, height, data } = jpeg.decode(base64ToBytes(analysis.base64), { useTArray: true, formatAsRGBA: true });
+  const gray = toGray(data, width * height);
+
+  const sharpness = laplacianVariance(gray, width, height);
+  const brightness = gray.reduce((sum, v) => sum + v, 0) / gray.length;
+  const resolution = Math.min(crop.width, crop.height);
+
+  const issues = [];
+  if (sharpness < BLURRY_VARIANCE) issues.push(QUALITY_ISSUE.BLURRY);
+  if (brightness < TOO_DARK) issues.push(QUALITY_ISSUE.DARK);
+  if (brightness > TOO_BRIGHT) issues.push(QUALITY_ISSUE.BRIGHT);
+  if (resolution < TOO_SMALL) issues.push(QUALITY_ISSUE.SMALL);
+
+  const scores = [
+    Math.min(1, sharpness / SHARP_VARIANCE),
+    1 - Math.abs(brightness - 128) / 128,
+    Math.min(1, resolution / FULL_RESOLUTION),
+  ];
+  return {
+    score: Math.round(Math.min(...scores) * 100),
+    sharpness: Math.round(sharpness),
+    brightness: Math.round(brightness),
+    resolution,
+    issues,
+    checkedAt: Date.now(),
+  };
+}
+
+/**
+ * "Blurry and too dark" style summary of the issues, or '' when there are none.
+ */
+export function describeQualityIssues(issues = []) {
+  const labels = {
+    [QUALITY_ISSUE.BLURRY]: 'blurry',
+    [QUALITY_ISSUE.DARK]: 'too dark',
+    [QUALITY_ISSUE.BRIGHT]: 'too bright',
+    [QUALITY_ISSUE.SMALL]: 'low resolution',
+  };
+  const parts = issues.map((issue) => labels[issue] || issue);
+  if (parts.length === 0) return '';
+  const text = parts.length === 1 ? parts[0] : `${parts.slice(0, -1).join(', ')} and ${parts[parts.length - 1]}`;
+  return text.charAt(0).toUpperCase() + text.slice(1);
+}
+
+function base64ToBytes(base64) {
+  const binary = atob(base64);
+  const bytes = new Uint8Array(binary.length);
+  for (let i = 0; i < binary.length; i += 1) {
+    bytes[i] = binary.charCodeAt(i);
+  }
+  return bytes;
+}
+
+// Rec. 601 luma
+function toGray(rgba, pixelCount) {
+  const gray = new Float32Array(pixelCount);
+  for (let i = 0; i < pixelCount; i += 1) {
+    gray[i] = 0.299 * rgba[i * 4] + 0.587 * rgba[i * 4 + 1] + 0.114 * rgba[i * 4 + 2];
+  }
+  return gray;
+}
+
+// Edge strength: blur flattens the Laplacian, so its variance drops
+function laplacianVariance(gray, width, height) {
+  let sum = 0;
+  let sumSquares = 0;
+  let count = 0;
+  for (let y = 1; y < height - 1; y += 1) {
+    for (let x = 1; x < width - 1; x += 1) {
+      const i = y * width + x;
+      const value = 4 * gray[i] - gray[i - 1] - gray[i + 1] - gray[i - width] - gray[i + width];
+      sum += value;
+      sumSquares += value * value;
+      count += 1;
+    }
+  }
+  if (count === 0) return 0;
+  const mean = sum / count;
+  return sumSquares / count - mean * mean;
+}
@@ -0,0 +1,39 @@
+import Constants from 'expo-constants';
+
+const DEFAULT_BUCKET = 'tournament-players';
+
+/**
+ * Bucket photos are stored in. EXPO_PUBLIC_SUPABASE_STORAGE_BUCKET (as set in eas.json)
+ * wins; EXPO_PUBLIC_SUPABASE_BUCKET is still accepted for older .env files.
+ */
+export function getStorageBucket() {
+  return (
+    process.env.EXPO_PUBLIC_SUPABASE_STORAGE_BUCKET ||
+    process.env.EXPO_PUBLIC_SUPABASE_BUCKET ||
+    Constants.expoConfig?.extra?.supabaseBucket ||
+    DEFAULT_BUCKET
+  );
+}
+
+export function getSupabaseConfig() {
+  const url = process.env.EXPO_PUBLIC_SUPABASE_URL || Constants.expoConfig?.extra?.supabaseUrl;
+  const anonKey = process.env.EXPO_PUBLIC_SUPABASE_ANON_KEY || Constants.expoConfig?.extra?.supabaseAnonKey;
+  const bucket = getStorageBucket();
+
+  if (__DEV__) {
+    const prefix = anonKey ? anonKey.slice(0, 8) : 'missing';
+    console.log('Supabase config (dev)', { url, bucket, anonPrefix: prefix });
+  }
+
+  if (!url || !anonKey) {
+    throw new Error('Supabase credentials missing. Please set EXPO_PUBLIC_SUPABASE_URL and EXPO_PUBLIC_SUPABASE_ANON_KEY.');
+  }
+
+  return { url, anonKey, bucket };
+}
+
+export function hasSupabaseConfig() {
+  const url = process.env.EXPO_PUBLIC_SUPABASE_URL || Constants.expoConfig?.extra?.supabaseUrl;
+  const anonKey = process.env.EXPO_PUBLIC_SUPABASE_ANON_KEY || Constants.expoConfig?.extra?.supabaseAnonKey;
+  return Boolean(url && anonKey);
+}
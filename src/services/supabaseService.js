@@ -1,48 +1,95 @@
 import * as FileSystem from 'expo-file-system/legacy';
-import Constants from 'expo-constants';
-import { listLocalPhotos, markUploaded, getPendingUploads } from '../storage/photoStore.js';
-import { composeImageFileName } from '../helpers/utils.js';
+import {
+  listLocalPhotos,
+  markUploaded,
+  markUploadFailed,
+  markUploading,
+  markUploadCancelled,
+  archiveLocalPhoto,
+  dropUpload,
+  getUploadQueue,
+  getPendingUploads,
+  photoExists,
+  getPhotoQualities,
+  recordPhotoQuality,
+  getPhotoPolicy,
+  mimeTypeFor,
+  normalizeLocalPhotos,
+  photoBaseName,
+  photoFileNameVariants,
+  PHOTO_FORMATS,
+  MAX_PHOTO_VERSIONS,
+} from '../storage/photoStore.js';
+import { getStorageFolder, getSyncSettings } from '../storage/settingsStore.js';
+import { getSyncBases, recordSyncBase } from '../storage/syncStateStore.js';
+import { describeTransferProgress, isCancelledError, runTransfers, throwIfCancelled } from './transferEngine.js';
+import { getStorageBucket, getSupabaseConfig as getConfig, hasSupabaseConfig } from './supabaseConfig.js';
+import { getAccessToken, getSession } from './authService.js';
 
-const BUCKET = 'tournament-players';
+export { getStorageBucket, hasSupabaseConfig };
+
+const HISTORY_PREFIX = 'history';
 const PHOTO_DIR = `${FileSystem.documentDirectory}photos/`;
 const RATE_LIMIT_MS = 200;
 const RETRY_ATTEMPTS = 3;
 const RETRY_BASE_DELAY_MS = 400;
 const RETRY_MAX_DELAY_MS = 4000;
+const LIST_PAGE_SIZE = 1000;
+// Remote timestamps come from the server clock; ignore differences smaller than this
+const CLOCK_SKEW_MS = 2 * 60 * 1000;
+// Long enough for one sync plus the coverage card refresh after it
+const LIST_CACHE_MS = 30 * 1000;
+const PLAYERS_TABLE = 'players';
+// Keys per `key=in.(...)` lookup, keeping request URLs well under server limits
+const PLAYER_LOOKUP_CHUNK = 100;
 
 let rateLimiter = Promise.resolve();
 let lastRequestTime = 0;
 
+export const PHOTO_CONFLICT = {
+  REMOTE_NEWER: 'remote-newer',
+  LOCAL_NEWER: 'local-newer',
+  BOTH_CHANGED: 'both-changed',
+};
+const listCache = new Map();
+
 function sleep(ms) {
   return new Promise((resolve) => setTimeout(resolve, ms));
 }
 
-function getConfig() {
-  const url = process.env.EXPO_PUBLIC_SUPABASE_URL || Constants.expoConfig?.extra?.supabaseUrl;
-  const anonKey = process.env.EXPO_PUBLIC_SUPABASE_ANON_KEY || Constants.expoConfig?.extra?.supabaseAnonKey;
-
-  if (__DEV__) {
-    const prefix = anonKey ? anonKey.slice(0, 8) : 'missing';
-    console.log('Supabase config (dev)', { url, bucket: BUCKET, anonPrefix: prefix });
-  }
-
-  if (!url || !anonKey) {
-    throw new Error('Supabase credentials missing. Please set EXPO_PUBLIC_SUPABASE_URL and EXPO_PUBLIC_SUPABASE_ANON_KEY.');
-  }
-
-  return { url, anonKey };
+// Reads use the volunteer's token when signed in and fall back to the anon key,
+// which only ever gets read-only access to public photos
+async function buildReadHeaders(anonKey) {
+  const accessToken = await getAccessToken();
+  return {
+    apikey: anonKey,
+    Authorization: `Bearer ${accessToken || anonKey}`,
+  };
 }
 
-function buildHeaders(anonKey) {
+// Anything that changes the bucket requires a signed-in volunteer
+async function buildWriteHeaders(anonKey) {
+  const accessToken = await getAccessToken();
+  if (!accessToken) {
+    throw new Error('Sign in (Settings → Supabase Storage) to upload or change photos.');
+  }
   return {
     apikey: anonKey,
-    Authorization: `Bearer ${anonKey}`,
+    Authorization: `Bearer ${accessToken}`,
   };
 }
 
-function getMimeType(fileName) {
-  if (fileName.endsWith('.png')) return 'image/png';
-  return 'image/jpeg';
+// Storage user metadata (base64 JSON) recording who uploaded the object
+async function uploaderMetadata() {
+  const session = await getSession();
+  if (!session?.user) return {};
+  return { 'x-metadata': btoa(JSON.stringify({ uploadedBy: session.user.email, uploaderId: session.user.id })) };
+}
+
+// "johnsmith.jpg" -> "johnsmith"; photos of one player share this across formats
+function stripExtension(fileName) {
+  const dot = fileName.lastIndexOf('.');
+  return dot === -1 ? fileName : fileName.slice(0, dot);
 }
 
 function joinPath(dir, name) {
@@ -50,35 +97,50 @@ function joinPath(dir, name) {
   return `${base}/${name}`;
 }
 
+// Keep folder separators in object keys literal
+function encodeObjectKey(key) {
+  return key.split('/').map(encodeURIComponent).join('/');
+}
+
 function basename(path) {
   const idx = path.lastIndexOf('/');
   return idx === -1 ? path : path.slice(idx + 1);
 }
 
+// "club/12/johnsmith.jpg" -> "club/12"; '' for keys at the bucket root
+function folderOf(key) {
+  const idx = key.lastIndexOf('/');
+  return idx === -1 ? '' : key.slice(0, idx);
+}
+
+function joinKey(...parts) {
+  return parts.filter(Boolean).join('/');
+}
+
+// Spaces out request *starts* by RATE_LIMIT_MS; requests themselves may overlap,
+// so bulk transfers can run several at a time.
 async function runWithRateLimit(task) {
-  const start = rateLimiter.catch(() => {});
-  const work = start.then(async () => {
-    const now = Date.now();
-    const wait = lastRequestTime + RATE_LIMIT_MS - now;
+  const slot = rateLimiter.then(async () => {
+    const wait = lastRequestTime + RATE_LIMIT_MS - Date.now();
     if (wait > 0) {
       await sleep(wait);
     }
-    const result = await task();
     lastRequestTime = Date.now();
-    return result;
   });
-  rateLimiter = work.catch(() => {});
-  return work;
+  rateLimiter = slot;
+  await slot;
+  return task();
 }
 
 function isRetryableStatus(status) {
   return status === 408 || status === 429 || status >= 500;
 }
 
-async function withRetry(task, { label = 'operation', attempts = RETRY_ATTEMPTS, shouldRetry } = {}) {
+async function withRetry(task, { label = 'operation', attempts = RETRY_ATTEMPTS, shouldRetry, signal } = {}) {
   let lastError;
 
   for (let attempt = 1; attempt <= attempts; attempt += 1) {
+    throwIfCancelled(signal);
     try {
       const result = await task();
       const needsRetry = shouldRetry ? shouldRetry(result) : false;
@@ -87,6 +149,7 @@ async function withRetry(task, { label = 'operation', attempts = RETRY_ATTEMPTS,
       }
       lastError = new Error(`Retryable response for ${label}`);
     } catch (err) {
+      if (isCancelledError(err)) throw err;
       lastError = err;
     }
 
@@ -138,6 +201,24 @@ async function isValidImageFile(filePath) {
   return true;
 }
 
+// Await a legacy FileSystem upload task / download resumable, cancelling it when
+// `signal` aborts. Those resolve with undefined once cancelled.
+async function runCancellable(task, start, signal) {
+  throwIfCancelled(signal);
+  const onAbort = () => {
+    task.cancelAsync().catch(() => {});
+  };
+  if (signal) signal.addEventListener('abort', onAbort);
+  try {
+    const result = await start();
+    throwIfCancelled(signal);
+    if (!result) throw new Error('Transfer interrupted');
+    return result;
+  } finally {
+    if (signal) signal.removeEventListener('abort', onAbort);
+  }
+}
+
 async function ensurePhotoDir() {
   const info = await FileSystem.getInfoAsync(PHOTO_DIR);
   if (!info.exists) {
@@ -145,9 +226,152 @@ async function ensurePhotoDir() {
   }
 }
 
-async function uploadFileFromPath(localPath, fileName) {
-  const { url, anonKey } = getConfig();
-  const uploadUrl = `${url}/storage/v1/object/${BUCKET}/${encodeURIComponent(fileName)}`;
+function remoteHistoryDir(fileName) {
+  return joinKey(folderOf(fileName), HISTORY_PREFIX, stripExtension(basename(fileName)));
+}
+
+// Server-side copy of the current remote object into <folder>/history/<base>/ so an upsert
+// never destroys it; only the newest MAX_PHOTO_VERSIONS copies are kept.
+// A missing source (first upload) is expected and ignored.
+async function archiveRemoteCopy(fileName) {
+  const { url, anonKey, bucket } = getConfig();
+  const name = basename(fileName);
+  const base = stripExtension(name);
+  const destinationKey = joinKey(remoteHistoryDir(fileName), `${Date.now()}${name.slice(base.length)}`);
+
+  try {
+    const headers = await buildWriteHeaders(anonKey);
+    const response = await runWithRateLimit(() =>
+      fetch(`${url}/storage/v1/object/copy`, {
+        method: 'POST',
+        headers: {
+          ...headers,
+          'Content-Type': 'application/json',
+        },
+        body: JSON.stringify({ bucketId: bucket, sourceKey: fileName, destinationKey }),
+      }),
+    );
+    if (response.ok) {
+      await pruneRemoteHistory(fileName);
+      return destinationKey;
+    }
+    if (response.status !== 400 && response.status !== 404) {
+      console.warn(`Supabase archive of ${fileName} failed (${response.status})`);
+    }
+  } catch (err) {
+    console.warn(`Supabase archive of ${fileName} failed`, err.message);
+  }
+  return null;
+}
+
+// History copies are named by timestamp, so the newest sort last
+async function pruneRemoteHistory(fileName) {
+  const dir = remoteHistoryDir(fileName);
+  try {
+    const copies = (await listAllPages(dir)).filter((entry) => entry.id !== null);
+    const stale = copies
+      .map((entry) => entry.name)
+      .sort((a, b) => parseInt(b, 10) - parseInt(a, 10))
+      .slice(MAX_PHOTO_VERSIONS);
+    await deleteRemoteFiles(stale.map((name) => joinKey(dir, name)));
+  } catch (err) {
+    console.warn(`Supabase history cleanup for ${fileName} failed`, err.message);
+  }
+}
+
+// md5 and modification time (ms) of a local file
+async function localFileState(path) {
+  const info = await FileSystem.getInfoAsync(path, { md5: true });
+  return { md5: info.md5 || null, modifiedAt: info.modificationTime ? info.modificationTime * 1000 : 0, size: info.size || 0 };
+}
+
+// Storage reports the object's MD5 as its eTag, except for multipart uploads ("<hash>-<parts>")
+function remoteHash(remoteFile) {
+  const eTag = remoteFile.metadata?.eTag;
+  if (!eTag) return null;
+  const hash = eTag.replace(/"/g, '');
+  return hash.includes('-') ? null : hash;
+}
+
+function remoteUpdatedAt(remoteFile) {
+  const time = Date.parse(remoteFile.updated_at || remoteFile.metadata?.lastModified || '');
+  return Number.isNaN(time) ? 0 : time;
+}
+
+function hasRemoteChanged(remoteFile, base, local) {
+  const hash = remoteHash(remoteFile);
+  if (base) {
+    return hash ? hash !== base.md5 : remoteUpdatedAt(remoteFile) > base.syncedAt + CLOCK_SKEW_MS;
+  }
+  // Never synced from this device: the newer side wins
+  return remoteUpdatedAt(remoteFile) > local.modifiedAt + CLOCK_SKEW_MS;
+}
+
+/**
+ * Compare a local photo with its remote object. Returns one of PHOTO_CONFLICT,
+ * or null when both hold the same content or nothing changed since the last sync.
+ */
+function classifyPhoto(local, remoteFile, base) {
+  const hash = remoteHash(remoteFile);
+  if (hash && local.md5 && hash === local.md5) return null;
+
+  if (!base) {
+    return hasRemoteChanged(remoteFile, null, local) ? PHOTO_CONFLICT.REMOTE_NEWER : PHOTO_CONFLICT.LOCAL_NEWER;
+  }
+  const localChanged = local.md5 !== base.md5;
+  const remoteChanged = hasRemoteChanged(remoteFile, base, local);
+  if (localChanged && remoteChanged) return PHOTO_CONFLICT.BOTH_CHANGED;
+  if (remoteChanged) return PHOTO_CONFLICT.REMOTE_NEWER;
+  if (localChanged) return PHOTO_CONFLICT.LOCAL_NEWER;
+  return null;
+}
+
+// The bucket's current object for `fileName`: `{ remoteFile }` (undefined when there
+// is none), or null when the bucket can't be listed.
+async function findRemoteFile(fileName) {
+  try {
+    return { remoteFile: (await listRemotePhotos({ prefix: folderOf(fileName) })).find((f) => f.name === fileName) };
+  } catch (err) {
+    console.warn('Remote lookup failed for', fileName, err.message);
+    return null;
+  }
+}
+
+// Refuse to upsert over a remote photo that changed since we last synced it;
+// the user decides in the conflict list instead. If the bucket can't be listed we upload anyway.
+async function assertRemoteUnchanged(local, fileName, remote) {
+  const remoteFile = remote?.remoteFile;
+  if (!remoteFile) return;
+  const hash = remoteHash(remoteFile);
+  if (hash && hash === local.md5) return;
+
+  const base = (await getSyncBases())[fileName];
+  if (hasRemoteChanged(remoteFile, base, local)) {
+    throw new Error('Remote photo changed since last sync; resolve it in Settings → Sync & Status → Conflicts');
+  }
+}
+
+// Folder recorded on the queue entry when the photo was saved, else the current one
+async function uploadFolderFor(localPath) {
+  const entry = (await getUploadQueue()).find((e) => e.path === localPath);
+  if (entry && typeof entry.folder === 'string') return entry.folder;
+  return getStorageFolder();
+}
+
+async function uploadFileFromPath(localPath, name, { signal, onBytes, force = false, folder } = {}) {
+  const { url, anonKey, bucket } = getConfig();
+  throwIfCancelled(signal);
+  // Fails fast when nobody is signed in, before touching the remote copy
+  await buildWriteHeaders(anonKey);
+  const fileName = joinKey(folder === undefined ? await uploadFolderFor(localPath) : folder, name);
+  const metadata = await uploaderMetadata();
+  const local = await localFileState(localPath);
+  const remote = await findRemoteFile(fileName);
+  if (!force) await assertRemoteUnchanged(local, fileName, remote);
+  // Nothing to back up on a first upload, or when a retry re-sends content the bucket already has
+  const remoteHasSame = remote?.remoteFile && local.md5 && remoteHash(remote.remoteFile) === local.md5;
+  if (!remote || (remote.remoteFile && !remoteHasSame)) await archiveRemoteCopy(fileName);
+  const uploadUrl = `${url}/storage/v1/object/${bucket}/${encodeObjectKey(fileName)}`;
   if (__DEV__) {
     console.log('Supabase upload request', {
       uploadUrl,
@@ -157,57 +381,63 @@ async function uploadFileFromPath(localPath, fileName) {
   }
   const response = await withRetry(
     () =>
-      runWithRateLimit(() =>
-        FileSystem.uploadAsync(uploadUrl, localPath, {
-          httpMethod: 'POST',
-          uploadType: FileSystem.FileSystemUploadType.BINARY_CONTENT,
-          headers: {
-            ...buildHeaders(anonKey),
-            'Content-Type': getMimeType(fileName),
-            'x-upsert': 'true',
+      runWithRateLimit(async () => {
+        const headers = await buildWriteHeaders(anonKey);
+        const task = FileSystem.createUploadTask(
+          uploadUrl,
+          localPath,
+          {
+            httpMethod: 'POST',
+            uploadType: FileSystem.FileSystemUploadType.BINARY_CONTENT,
+            headers: {
+              ...headers,
+              ...metadata,
+              'Content-Type': mimeTypeFor(fileName),
+              'x-upsert': 'true',
+            },
           },
-        }),
-      ),
+          onBytes ? ({ totalBytesSent }) => onBytes(totalBytesSent) : undefined,
+        );
+        return runCancellable(task, () => task.uploadAsync(), signal);
+      }),
     {
       label: `upload ${fileName}`,
       shouldRetry: (res) => isRetryableStatus(res.status),
+      signal,
     },
   );
 
   if (response.status >= 200 && response.status < 300) {
-    return `${url}/storage/v1/object/public/${BUCKET}/${encodeURIComponent(fileName)}`;
+    invalidateRemoteListCache();
+    await recordSyncBase(fileName, local.md5);
+    await recordPlayerPhoto(fileName, local.modifiedAt);
+    return `${url}/storage/v1/object/public/${bucket}/${encodeObjectKey(fileName)}`;
   }
 
   throw new Error(`Supabase upload failed (${response.status}): ${response.body}`);
 }
 
-async function listRemotePhotos() {
-  const { url, anonKey } = getConfig();
-  console.log('Supabase list request', {
-    url,
-    bucket: BUCKET,
-    hasAnonKey: !!anonKey,
-    anonKeyPrefix: anonKey ? anonKey.slice(0, 6) : 'none',
-  });
+async function listPage(prefix, offset) {
+  const { url, anonKey, bucket } = getConfig();
   const response = await withRetry(
     () =>
-      runWithRateLimit(() =>
-        fetch(`${url}/storage/v1/object/list/${BUCKET}`, {
+      runWithRateLimit(async () =>
+        fetch(`${url}/storage/v1/object/list/${bucket}`, {
           method: 'POST',
           headers: {
-            ...buildHeaders(anonKey),
+            ...(await buildReadHeaders(anonKey)),
             'Content-Type': 'application/json',
           },
           body: JSON.stringify({
-            prefix: '',
-            limit: 1000,
-            offset: 0,
+            prefix,
+            limit: LIST_PAGE_SIZE,
+            offset,
             sortBy: { column: 'name', order: 'asc' },
           }),
         }),
       ),
     {
-      label: 'list photos',
+      label: `list photos ${prefix || '/'} @${offset}`,
       shouldRetry: (res) => isRetryableStatus(res.status),
     },
   );
@@ -219,50 +449,133 @@ async function listRemotePhotos() {
   }
 
   const data = await response.json();
-  if (!Array.isArray(data)) return [];
-
-  const mapped = data.map((f) => ({
-    ...f,
-    name: f.name,
-    normalized: basename(f.name).toLowerCase(),
-  }));
-
-  console.log('Supabase list: total objects', mapped.length);
-  if (mapped.length > 0) {
-    const sample = mapped.slice(0, 3).map((f) => f.name);
-    console.log('Supabase list sample:', sample.join(', '));
-  } else {
-    console.log('Supabase list returned 0 objects');
+  return Array.isArray(data) ? data : [];
+}
+
+// Every entry directly under `prefix`, following pages until a short one comes back.
+async function listAllPages(prefix) {
+  const entries = [];
+  for (let offset = 0; ; offset += LIST_PAGE_SIZE) {
+    const page = await listPage(prefix, offset);
+    entries.push(...page);
+    if (page.length < LIST_PAGE_SIZE) return entries;
+  }
+}
+
+/**
+ * Photos in the bucket under `prefix` ('' = bucket root, default = the selected
+ * tournament's folder). With `recursive`, sub-folders are listed too (history/ is always skipped). `name` is the full
+ * object key; `normalized` is the lowercased file name without folders.
+ * Results are cached for LIST_CACHE_MS; pass `fresh` to bypass the cache.
+ */
+async function listRemotePhotos({ prefix = null, recursive = false, fresh = false } = {}) {
+  if (prefix === null) prefix = await getStorageFolder();
+  const cacheKey = `${prefix}|${recursive}`;
+  const cached = listCache.get(cacheKey);
+  if (!fresh && cached && Date.now() - cached.at < LIST_CACHE_MS) {
+    return cached.files;
   }
 
-  return mapped;
+  const files = [];
+  const folders = [prefix];
+  while (folders.length > 0) {
+    const folder = folders.shift();
+    const entries = await listAllPages(folder);
+    for (const entry of entries) {
+      const key = folder ? `${folder}/${entry.name}` : entry.name;
+      // Folders come back with a null id; only real objects are photos
+      if (entry.id === null) {
+        if (recursive && entry.name !== HISTORY_PREFIX) folders.push(key);
+        continue;
+      }
+      files.push({ ...entry, name: key, normalized: basename(entry.name).toLowerCase() });
+    }
+  }
+
+  console.log('Supabase list: total objects', files.length, prefix ? `under ${prefix}` : '');
+  listCache.set(cacheKey, { at: Date.now(), files });
+  return files;
 }
 
-async function downloadFile(fileName) {
-  const { url, anonKey } = getConfig();
+// Called after anything that changes the bucket so the next listing is fresh.
+function invalidateRemoteListCache() {
+  listCache.clear();
+}
+
+async function deleteRemoteFiles(fileNames) {
+  if (fileNames.length === 0) return;
+  const { url, anonKey, bucket } = getConfig();
+  const response = await withRetry(
+    () =>
+      runWithRateLimit(async () =>
+        fetch(`${url}/storage/v1/object/${bucket}`, {
+          method: 'DELETE',
+          headers: {
+            ...(await buildWriteHeaders(anonKey)),
+            'Content-Type': 'application/json',
+          },
+          body: JSON.stringify({ prefixes: fileNames }),
+        }),
+      ),
+    {
+      label: `delete ${fileNames.length} objects`,
+      shouldRetry: (res) => isRetryableStatus(res.status),
+    },
+  );
+
+  invalidateRemoteListCache();
+  if (!response.ok) {
+    const message = await response.text();
+    throw new Error(`Supabase delete failed (${response.status}): ${message}`);
+  }
+}
+
+async function downloadFile(fileName, { signal, onBytes } = {}) {
+  const { url, anonKey, bucket } = getConfig();
   await ensurePhotoDir();
-  const targetPath = `${PHOTO_DIR}${fileName}`;
-  const privateUrl = `${url}/storage/v1/object/${BUCKET}/${encodeURIComponent(fileName)}`; // private with auth
-  const publicUrl = `${url}/storage/v1/object/public/${BUCKET}/${encodeURIComponent(fileName)}`; // public bucket URL
+  // Object keys may include folders; locally every photo lives directly in PHOTO_DIR
+  const targetPath = `${PHOTO_DIR}${basename(fileName)}`;
+  const recordDownload = async () => {
+    await recordSyncBase(fileName, (await localFileState(targetPath)).md5);
+    await adoptRemoteQuality(fileName);
+    return targetPath;
+  };
+  const privateUrl = `${url}/storage/v1/object/${bucket}/${encodeObjectKey(fileName)}`; // private with auth
+  const publicUrl = `${url}/storage/v1/object/public/${bucket}/${encodeObjectKey(fileName)}`; // public bucket URL
 
   const tryDownload = async (dlUrl, label, withHeaders) => {
     console.log('Supabase download URL:', dlUrl, `(mode: ${label}, headers: ${withHeaders})`);
-    const options = withHeaders ? { headers: buildHeaders(anonKey) } : undefined;
-    const res = await withRetry(
-      () => runWithRateLimit(() => FileSystem.downloadAsync(dlUrl, targetPath, options)),
-      {
-        label: `download ${fileName} (${label})`,
-        shouldRetry: (r) => isRetryableStatus(r.status),
-      },
-    );
-    return res;
+    const options = withHeaders ? { headers: await buildReadHeaders(anonKey) } : {};
+    try {
+      return await withRetry(
+        () =>
+          runWithRateLimit(() => {
+            const task = FileSystem.createDownloadResumable(
+              dlUrl,
+              targetPath,
+              options,
+              onBytes ? ({ totalBytesWritten }) => onBytes(totalBytesWritten) : undefined,
+            );
+            return runCancellable(task, () => task.downloadAsync(), signal);
+          }),
+        {
+          label: `download ${fileName} (${label})`,
+          shouldRetry: (r) => isRetryableStatus(r.status),
+          signal,
+        },
+      );
+    } catch (err) {
+      // Never leave a partial file behind where photoExists would find it
+      if (isCancelledError(err)) await FileSystem.deleteAsync(targetPath, { idempotent: true });
+      throw err;
+    }
   };
 
   // 1) Public path, no auth headers (best for truly public buckets)
   let result = await tryDownload(publicUrl, 'public-no-auth', false);
   if (result.status >= 200 && result.status < 300) {
     const valid = await isValidImageFile(targetPath);
-    if (valid) return targetPath;
+    if (valid) return recordDownload();
     await FileSystem.deleteAsync(targetPath, { idempotent: true });
     console.warn(`Downloaded file invalid/HTML for ${fileName} (public-no-auth), retrying`);
   }
@@ -273,7 +586,7 @@ async function downloadFile(fileName) {
     result = await tryDownload(publicUrl, 'public-with-auth', true);
     if (result.status >= 200 && result.status < 300) {
       const valid = await isValidImageFile(targetPath);
-      if (valid) return targetPath;
+      if (valid) return recordDownload();
       await FileSystem.deleteAsync(targetPath, { idempotent: true });
       console.warn(`Downloaded file invalid/HTML for ${fileName} (public-with-auth), retrying`);
     }
@@ -284,7 +597,7 @@ async function downloadFile(fileName) {
   result = await tryDownload(privateUrl, 'private-with-auth', true);
   if (result.status >= 200 && result.status < 300) {
     const valid = await isValidImageFile(targetPath);
-    if (valid) return targetPath;
+    if (valid) return recordDownload();
     await FileSystem.deleteAsync(targetPath, { idempotent: true });
     throw new Error(`Supabase download appears invalid (html/too small) for ${fileName}`);
   }
@@ -292,30 +605,56 @@ async function downloadFile(fileName) {
   throw new Error(`Supabase download failed (${result.status}) for ${fileName}`);
 }
 
-export async function uploadAllPhotos(onProgress) {
-  const pending = await getPendingUploads();
-  if (pending.length === 0) {
-    return { uploaded: 0, failed: 0 };
+/**
+ * Upload one upload-queue entry and record the outcome on it.
+ * Returns false instead of throwing; the error is stored on the entry.
+ * A cancelled upload goes back to pending and rethrows the cancellation.
+ */
+export async function uploadQueuedPhoto(path, { signal, onBytes } = {}) {
+  const fileName = basename(path);
+  const queuedAt = await markUploading(path);
+  try {
+    await uploadFileFromPath(path, fileName, { signal, onBytes });
+    await markUploaded(path, queuedAt);
+    return true;
+  } catch (err) {
+    if (isCancelledError(err)) {
+      await markUploadCancelled(path, queuedAt);
+      throw err;
+    }
+    console.warn('Upload failed for', fileName, err.message);
+    await markUploadFailed(path, err.message, queuedAt);
+    return false;
   }
+}
 
-  let uploaded = 0;
-  let failed = 0;
+async function resolveConcurrency(concurrency) {
+  if (concurrency) return concurrency;
+  return (await getSyncSettings()).transferConcurrency;
+}
 
-  for (let i = 0; i < pending.length; i += 1) {
-    const path = pending[i];
-    const fileName = path.split('/').pop();
-    try {
-      if (onProgress) onProgress(`Uploading ${i + 1}/${pending.length}`);
-      await uploadFileFromPath(path, fileName);
-      await markUploaded(path);
-      uploaded += 1;
-    } catch (err) {
-      console.warn('Upload failed for', fileName, err.message);
-      failed += 1;
-    }
+/**
+ * Upload every due upload-queue entry, `concurrency` at a time (default from
+ * sync settings). `onProgress` gets runTransfers progress objects; abort
+ * `signal` to stop.
+ */
+export async function uploadAllPhotos(onProgress, { signal, concurrency } = {}) {
+  const pending = await getPendingUploads();
+  if (pending.length === 0) {
+    return { uploaded: 0, failed: 0, cancelled: false };
   }
 
-  return { uploaded, failed };
+  const sizes = new Map((await getUploadQueue()).map((entry) => [entry.path, entry.bytes]));
+  const items = pending.map((path) => ({ id: path, bytes: sizes.get(path) || null }));
+  const result = await runTransfers(
+    items,
+    async (item, options) => {
+      if (!(await uploadQueuedPhoto(item.id, options))) throw new Error('Upload failed');
+    },
+    { concurrency: await resolveConcurrency(concurrency), signal, onProgress },
+  );
+
+  return { uploaded: result.completed, failed: result.failed, cancelled: result.cancelled };
 }
 
 export async function uploadSinglePhoto(dir, fileName) {
@@ -324,17 +663,23 @@ export async function uploadSinglePhoto(dir, fileName) {
   return true;
 }
 
-export async function downloadMissingPhotos(onProgress, playerNames = null) {
-  const remoteFiles = await listRemotePhotos();
+/**
+ * Download remote photos that have no local copy (limited to `players` if given;
+ * names or roster entries identified with assignPhotoKeys),
+ * `concurrency` at a time. `onProgress` gets runTransfers progress objects; abort `signal` to stop.
+ */
+export async function downloadMissingPhotos(onProgress, players = null, { signal, concurrency } = {}) {
+  const workers = await resolveConcurrency(concurrency);
+  const folder = await getStorageFolder();
+  const remoteFiles = await listRemotePhotos({ prefix: folder });
   const localPhotos = await listLocalPhotos();
-  const localNames = new Set(localPhotos.map((p) => basename(p).toLowerCase()));
+  // Compare without extensions: a local johnsmith.jpg already covers a remote johnsmith.png
+  const localBases = new Set(localPhotos.map((p) => stripExtension(basename(p).toLowerCase())));
+  const policy = await getPhotoPolicy();
 
   let candidates = remoteFiles;
-  if (playerNames && playerNames.length > 0) {
-    const expectedPng = playerNames.map((name) => composeImageFileName(name));
-    const expectedJpg = expectedPng.map((n) => n.replace('.png', '.jpg'));
-    const expectedJpeg = expectedPng.map((n) => n.replace('.png', '.jpeg'));
-    const expected = new Set([...expectedPng, ...expectedJpg, ...expectedJpeg].map((n) => n.toLowerCase()));
+  if (players && players.length > 0) {
+    const expected = new Set(players.flatMap((player) => photoFileNameVariants(player, policy)).map((n) => n.toLowerCase()));
     candidates = remoteFiles.filter((f) => expected.has(f.normalized));
 
     // If filtering by players finds nothing, fall back to all files to avoid missing photos due to naming drift.
@@ -343,7 +688,7 @@ export async function downloadMissingPhotos(onProgress, playerNames = null) {
     }
 
     console.log('Supabase download filter:', {
-      players: playerNames.length,
+      players: players.length,
       expectedCount: expected.size,
       remote: remoteFiles.length,
       candidates: candidates.length,
@@ -352,47 +697,350 @@ export async function downloadMissingPhotos(onProgress, playerNames = null) {
     // Fallback: if we still have zero candidates and there are expected filenames, try direct-download attempts without listing
     if (candidates.length === 0 && remoteFiles.length === 0) {
       console.log('Supabase fallback: attempting direct downloads for expected filenames');
-      const expectedList = [...expected];
-      let downloaded = 0;
-      let failed = 0;
-      for (let i = 0; i < expectedList.length; i += 1) {
-        const fname = expectedList[i];
-        if (localNames.has(fname)) continue;
-        try {
-          if (onProgress) onProgress(`Downloading ${i + 1}/${expectedList.length}`);
-          await downloadFile(fname);
-          downloaded += 1;
-        } catch (err) {
-          failed += 1;
-          console.warn('Fallback download failed for', fname, err.message);
-        }
-      }
-      return { downloaded, skipped: 0, failed };
+      const items = [...expected]
+        .filter((fname) => !localBases.has(stripExtension(fname)))
+        .map((fname) => ({ id: joinKey(folder, fname), bytes: null }));
+      const result = await runTransfers(
+        items,
+        (item, options) => downloadFile(item.id, options),
+        { concurrency: workers, signal, onProgress },
+      );
+      result.errors.forEach((e) => console.warn('Fallback download failed for', e.id, e.message));
+      return { downloaded: result.completed, skipped: 0, failed: result.failed, cancelled: result.cancelled };
     }
   }
 
-  const toDownload = candidates.filter((f) => !localNames.has(f.normalized));
-  let downloaded = 0;
-  let skipped = candidates.length - toDownload.length;
-  let failed = 0;
+  // One file per player: prefer the policy extension when the bucket still has several formats
+  const preferredExt = PHOTO_FORMATS[policy.format].ext;
+  const byBase = new Map();
+  for (const file of candidates) {
+    const base = stripExtension(file.normalized);
+    if (!byBase.has(base) || file.normalized.endsWith(preferredExt)) byBase.set(base, file);
+  }
+  const toDownload = [...byBase.entries()].filter(([base]) => !localBases.has(base)).map(([, file]) => file);
+  const skipped = candidates.length - toDownload.length;
+
+  const result = await runTransfers(
+    toDownload.map((file) => ({ id: file.name, bytes: file.metadata?.size || null })),
+    (item, options) => downloadFile(item.id, options),
+    { concurrency: workers, signal, onProgress },
+  );
+  result.errors.forEach((e) => console.warn('Download failed for', e.id, e.message));
 
-  for (let i = 0; i < toDownload.length; i += 1) {
-    const file = toDownload[i];
+  return { downloaded: result.completed, skipped, failed: result.failed, cancelled: result.cancelled };
+}
+
+/**
+ * Local photos whose remote object differs: `[{ fileName, kind, localPath,
+ * localModifiedAt, remoteUpdatedAt, remoteImage }]`, kind being one of PHOTO_CONFLICT.
+ * `remoteImage` is an Image source for previewing the remote version.
+ */
+export async function findPhotoConflicts() {
+  const { url, anonKey, bucket } = getConfig();
+  const [remoteFiles, localPhotos, bases, readHeaders] = await Promise.all([
+    listRemotePhotos(),
+    listLocalPhotos(),
+    getSyncBases(),
+    buildReadHeaders(anonKey),
+  ]);
+  const remoteByName = new Map(remoteFiles.map((f) => [f.normalized, f]));
+
+  const conflicts = [];
+  for (const localPath of localPhotos) {
+    const remoteFile = remoteByName.get(basename(localPath).toLowerCase());
+    if (!remoteFile) continue;
+    const local = await localFileState(localPath);
+    const kind = classifyPhoto(local, remoteFile, bases[remoteFile.name]);
+    if (!kind) continue;
+    conflicts.push({
+      fileName: remoteFile.name,
+      kind,
+      localPath,
+      localModifiedAt: local.modifiedAt,
+      remoteUpdatedAt: remoteUpdatedAt(remoteFile),
+      remoteImage: {
+        uri: `${url}/storage/v1/object/public/${bucket}/${encodeObjectKey(remoteFile.name)}?v=${remoteUpdatedAt(remoteFile)}`,
+        headers: readHeaders,
+      },
+    });
+  }
+  return conflicts;
+}
+
+/**
+ * Settle a conflict by keeping one side. Nothing is lost: keeping local archives
+ * the remote object to history/ before overwriting it, keeping remote archives
+ * the local file into the player's local history.
+ */
+export async function resolvePhotoConflict(conflict, keep) {
+  if (keep === 'local') {
+    await uploadFileFromPath(conflict.localPath, basename(conflict.fileName), { force: true, folder: folderOf(conflict.fileName) });
+    await markUploaded(conflict.localPath);
+  } else if (keep === 'remote') {
+    await archiveLocalPhoto(conflict.localPath);
+    await dropUpload(conflict.localPath);
+    await downloadFile(conflict.fileName);
+  } else {
+    throw new Error(`Unknown conflict resolution: ${keep}`);
+  }
+}
+
+/**
+ * Split a roster into players with a local photo, players whose photo only
+ * exists in Supabase, and players with no photo anywhere. `weak` lists local
+ * photos whose quality check found issues (each with its `quality`).
+ * If the bucket cannot be listed, `remoteAvailable` is false and remote-only
+ * players are reported as missing. `tournament` picks the bucket folder
+ * (defaults to the selected tournament).
+ */
+export async function getPhotoCoverage(players, tournament = null) {
+  let remoteNames = new Set();
+  let remoteAvailable = false;
+  if (hasSupabaseConfig()) {
     try {
-      if (onProgress) onProgress(`Downloading ${i + 1}/${toDownload.length}`);
-      await downloadFile(file.name);
-      downloaded += 1;
+      const remoteFiles = await listRemotePhotos({ prefix: await getStorageFolder(tournament) });
+      remoteNames = new Set(remoteFiles.map((f) => f.normalized));
+      remoteAvailable = true;
     } catch (err) {
-      console.warn('Download failed for', file.name, err.message);
-      failed += 1;
+      console.warn('Coverage: remote listing failed', err.message);
     }
   }
 
-  return { downloaded, skipped, failed };
+  const local = [];
+  const remoteOnly = [];
+  const missing = [];
+  const weak = [];
+  const qualities = await getPhotoQualities();
+  for (const player of players) {
+    if (await photoExists(player)) {
+      local.push(player);
+      const quality = qualities[photoBaseName(player)];
+      if (quality && quality.issues.length > 0) weak.push({ ...player, quality });
+    } else if (photoFileNameVariants(player).some((n) => remoteNames.has(n.toLowerCase()))) {
+      remoteOnly.push(player);
+    } else {
+      missing.push(player);
+    }
+  }
+
+  return { total: players.length, local, remoteOnly, missing, weak, remoteAvailable };
 }
 
-export function hasSupabaseConfig() {
-  const url = process.env.EXPO_PUBLIC_SUPABASE_URL || Constants.expoConfig?.extra?.supabaseUrl;
-  const anonKey = process.env.EXPO_PUBLIC_SUPABASE_ANON_KEY || Constants.expoConfig?.extra?.supabaseAnonKey;
-  return Boolean(url && anonKey);
+/**
+ * One-off migration to the current photo policy:
+ * 1. pull remote-only photos so every player has a local copy,
+ * 2. re-encode local files whose extension or encoding is off (queued for upload),
+ * 3. upload the normalized files,
+ * 4. drop remote objects left under another extension (archived to history/ first).
+ * Steps 3 and 4 are skipped when signed out (`signedOut: true` in the result).
+ */
+export async function migratePhotoFormat(onProgress) {
+  const policy = await getPhotoPolicy();
+  const preferredExt = PHOTO_FORMATS[policy.format].ext;
+
+  if (onProgress) onProgress('Downloading remote-only photos...');
+  const downloadResult = await downloadMissingPhotos(
+    onProgress && ((progress) => onProgress(describeTransferProgress('Downloading', progress))),
+  );
+
+  if (onProgress) onProgress('Normalizing local photos...');
+  const localResult = await normalizeLocalPhotos(onProgress);
+
+  // Uploads and remote cleanup need a signed-in volunteer; until then the
+  // normalized files wait in the upload queue instead of failing one by one
+  if (!(await getSession())) {
+    return {
+      downloaded: downloadResult.downloaded,
+      converted: localResult.converted,
+      uploaded: 0,
+      removed: 0,
+      failed: downloadResult.failed + localResult.failed,
+      signedOut: true,
+    };
+  }
+
+  if (onProgress) onProgress('Uploading normalized photos...');
+  const uploadResult = await uploadAllPhotos(
+    onProgress && ((progress) => onProgress(describeTransferProgress('Uploading', progress))),
+  );
+
+  // Only remove an old-format object once its replacement is confirmed in the bucket
+  const remoteFiles = await listRemotePhotos({ fresh: true });
+  const remoteNames = new Set(remoteFiles.map((f) => f.normalized));
+  const stale = remoteFiles.filter(
+    (f) => !f.normalized.endsWith(preferredExt) && remoteNames.has(`${stripExtension(f.normalized)}${preferredExt}`),
+  );
+  let removed = 0;
+  for (let i = 0; i < stale.length; i += 1) {
+    if (onProgress) onProgress(`Cleaning up ${i + 1}/${stale.length}`);
+    try {
+      // archiveRemoteCopy logs and returns null on failure; keep the original then
+      if (!(await archiveRemoteCopy(stale[i].name))) throw new Error('could not copy it to history');
+      await deleteRemoteFiles([stale[i].name]);
+      removed += 1;
+    } catch (err) {
+      console.warn('Remote cleanup failed for', stale[i].name, err.message);
+    }
+  }
+
+  return {
+    downloaded: downloadResult.downloaded,
+    converted: localResult.converted,
+    uploaded: uploadResult.uploaded,
+    removed,
+    failed: downloadResult.failed + localResult.failed + uploadResult.failed + (stale.length - removed),
+  };
+}
+
+// PostgREST request against the players table. Reads fall back to the anon key;
+// writes need a signed-in volunteer like uploads do.
+async function playersRequest(query, { method = 'GET', body, write = false, prefer } = {}) {
+  const { url, anonKey } = getConfig();
+  const headers = write ? await buildWriteHeaders(anonKey) : await buildReadHeaders(anonKey);
+  const response = await withRetry(
+    () =>
+      runWithRateLimit(() =>
+        fetch(`${url}/rest/v1/${PLAYERS_TABLE}${query}`, {
+          method,
+          headers: {
+            ...headers,
+            'Content-Type': 'application/json',
+            ...(prefer ? { Prefer: prefer } : {}),
+          },
+          body: body === undefined ? undefined : JSON.stringify(body),
+        }),
+      ),
+    { label: `${method} ${PLAYERS_TABLE}`, shouldRetry: (res) => isRetryableStatus(res.status) },
+  );
+
+  if (!response.ok) {
+    const text = await response.text();
+    throw new Error(`Supabase ${PLAYERS_TABLE} request failed (${response.status}): ${text}`);
+  }
+  return response.status === 204 ? null : response.json();
+}
+
+// PostgREST list literal; quoting keeps keys with commas or dots intact
+function inFilter(values) {
+  return `in.(${values.map((v) => `"${String(v).replace(/(["\\])/g, '\\$1')}"`).join(',')})`;
+}
+
+function upsertPlayerRows(rows) {
+  return playersRequest('?on_conflict=key', {
+    method: 'POST',
+    body: rows,
+    write: true,
+    prefer: 'resolution=merge-duplicates,return=minimal',
+  });
+}
+
+function photoKeyOf(fileName) {
+  return stripExtension(basename(fileName).toLowerCase());
+}
+
+// Point the player's row at a freshly uploaded photo, with its quality check so
+// other devices see it. A missing table or policy must not fail the upload
+// itself, so errors are only logged.
+async function recordPlayerPhoto(fileName, capturedAt) {
+  try {
+    const session = await getSession();
+    const key = photoKeyOf(fileName);
+    const qualities = await getPhotoQualities();
+    await upsertPlayerRows([{
+      key,
+      photo_path: fileName,
+      captured_at: new Date(capturedAt || Date.now()).toISOString(),
+      captured_by: session?.user?.email || null,
+      photo_quality: qualities[key] || null,
+    }]);
+  } catch (err) {
+    console.warn('Could not record player photo for', fileName, err.message);
+  }
+}
+
+// A downloaded file replaces the local one, so its quality comes from the players
+// row the uploader wrote. Unknown (no row, table unreachable) means no score.
+async function adoptRemoteQuality(fileName) {
+  const key = photoKeyOf(fileName);
+  let quality = null;
+  try {
+    const [row] = await getPlayerRecords({ keys: [key] });
+    quality = row?.photo_path === fileName ? row.photo_quality || null : null;
+  } catch (err) {
+    console.warn('Could not read photo quality for', fileName, err.message);
+  }
+  await recordPhotoQuality(key, quality);
+}
+
+/**
+ * Rows from the players table: `{ key, name, roster_ids, tournament_ids,
+ * photo_path, captured_at, captured_by, ... }`. Filter by `keys` (photo base
+ * names) or to players still without a photo.
+ */
+export async function getPlayerRecords({ keys = null, missingPhotoOnly = false } = {}) {
+  if (keys && keys.length === 0) return [];
+  const filters = missingPhotoOnly ? ['photo_path=is.null'] : [];
+  if (!keys) {
+    return playersRequest(`?${['select=*', ...filters].join('&')}`);
+  }
+
+  const rows = [];
+  for (let i = 0; i < keys.length; i += PLAYER_LOOKUP_CHUNK) {
+    const chunk = keys.slice(i, i + PLAYER_LOOKUP_CHUNK);
+    const query = ['select=*', `key=${encodeURIComponent(inFilter(chunk))}`, ...filters].join('&');
+    rows.push(...(await playersRequest(`?${query}`)));
+  }
+  return rows;
+}
+
+/**
+ * Upsert one players-table row per roster player so other tools can see who
+ * still needs a photo. Keys are the players' photo keys (see assignPhotoKeys).
+ * Roster ids (the app's own, see createPlayerId; Omnipong publishes none) and
+ * Omnipong tournament IDs are merged into what the row already has. Photo
+ * fields are filled from the bucket when the row has none yet.
+ */
+export async function syncPlayerRecords(players, tournament = null) {
+  const byKey = new Map();
+  for (const player of players) {
+    const key = photoBaseName(player);
+    if (!key) continue;
+    const entry = byKey.get(key) || { name: player.name, ids: new Set(), player };
+    if (player.id) entry.ids.add(String(player.id));
+    byKey.set(key, entry);
+  }
+  if (byKey.size === 0) return { upserted: 0 };
+
+  const existing = new Map((await getPlayerRecords({ keys: [...byKey.keys()] })).map((row) => [row.key, row]));
+  let remoteByBase = new Map();
+  try {
+    const remoteFiles = await listRemotePhotos({ prefix: await getStorageFolder(tournament) });
+    remoteByBase = new Map(remoteFiles.map((f) => [stripExtension(f.normalized), f]));
+  } catch (err) {
+    console.warn('Player records: remote listing failed', err.message);
+  }
+
+  const rows = [...byKey.entries()].map(([key, entry]) => {
+    const row = existing.get(key) || {};
+    // Photos from before club keys are still under the plain key until the next save
+    const remoteFile = photoFileNameVariants(entry.player)
+      .map((fileName) => remoteByBase.get(stripExtension(fileName.toLowerCase())))
+      .find(Boolean);
+    const tournamentIds = new Set(row.tournament_ids || []);
+    if (tournament?.tournamentId) tournamentIds.add(Number(tournament.tournamentId));
+    const hasPhoto = !!row.photo_path;
+    const remoteTime = remoteFile ? remoteUpdatedAt(remoteFile) : 0;
+    return {
+      key,
+      name: entry.name,
+      roster_ids: [...new Set([...(row.roster_ids || []), ...entry.ids])],
+      tournament_ids: [...tournamentIds],
+      photo_path: hasPhoto ? row.photo_path : remoteFile?.name || null,
+      captured_at: hasPhoto || !remoteTime ? row.captured_at || null : new Date(remoteTime).toISOString(),
+      captured_by: row.captured_by || null,
+    };
+  });
+
+  await upsertPlayerRows(rows);
+  return { upserted: rows.length };
 }
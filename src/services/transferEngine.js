@@ -0,0 +1,128 @@
+// Runs bulk uploads/downloads with a concurrency limit, AbortController
+// cancellation and byte/item progress with an ETA.
+import { formatBytes } from '../helpers/utils.js';
+
+export const DEFAULT_TRANSFER_CONCURRENCY = 4;
+const PROGRESS_THROTTLE_MS = 250;
+
+export function isCancelledError(err) {
+  return !!err && err.name === 'AbortError';
+}
+
+export function cancelledError() {
+  const err = new Error('Transfer cancelled');
+  err.name = 'AbortError';
+  return err;
+}
+
+export function throwIfCancelled(signal) {
+  if (signal && signal.aborted) throw cancelledError();
+}
+
+/**
+ * Run `worker(item, { signal, onBytes })` for every item, at most `concurrency`
+ * at a time. Items are `{ id, bytes }` plus whatever the worker needs; `bytes`
+ * may be null when the size is unknown. Workers report bytes moved so far via
+ * `onBytes(n)` and signal failure by throwing.
+ *
+ * Once `signal` aborts no new items start; in-flight workers are expected to
+ * stop on the same signal. Cancelled items count as neither completed nor failed.
+ *
+ * @returns {Promise<{completed: number, failed: number, cancelled: boolean, errors: Array<{id: string, message: string}>}>}
+ */
+export async function runTransfers(items, worker, { concurrency = DEFAULT_TRANSFER_CONCURRENCY, signal, onProgress } = {}) {
+  const startedAt = Date.now();
+  // Byte totals (and a byte-based ETA) only make sense when every size is known
+  const bytesTotal = items.every((item) => item.bytes) ? items.reduce((sum, item) => sum + item.bytes, 0) : null;
+  const inFlightBytes = new Map();
+  let bytesDone = 0;
+  let completed = 0;
+  let failed = 0;
+  let next = 0;
+  let lastReport = 0;
+  const errors = [];
+
+  function report(force = false) {
+    if (!onProgress) return;
+    const now = Date.now();
+    if (!force && now - lastReport < PROGRESS_THROTTLE_MS) return;
+    lastReport = now;
+    let bytes = bytesDone;
+    inFlightBytes.forEach((n) => {
+      bytes += n;
+    });
+    onProgress(buildProgress({
+      itemsDone: completed + failed,
+      itemsTotal: items.length,
+      itemsFailed: failed,
+      bytesDone: bytes,
+      bytesTotal,
+      elapsedMs: now - startedAt,
+    }));
+  }
+
+  async function runNext() {
+    while (next < items.length && !(signal && signal.aborted)) {
+      const item = items[next];
+      next += 1;
+      inFlightBytes.set(item.id, 0);
+      try {
+        await worker(item, {
+          signal,
+          onBytes: (n) => {
+            inFlightBytes.set(item.id, n);
+            report();
+          },
+        });
+        completed += 1;
+        bytesDone += item.bytes || inFlightBytes.get(item.id) || 0;
+      } catch (err) {
+        if (!isCancelledError(err)) {
+          failed += 1;
+          errors.push({ id: item.id, message: err.message });
+        }
+      } finally {
+        inFlightBytes.delete(item.id);
+      }
+      report(true);
+    }
+  }
+
+  report(true);
+  const workers = Array.from({ length: Math.max(1, Math.min(concurrency, items.length)) }, runNext);
+  await Promise.all(workers);
+
+  return { completed, failed, cancelled: !!(signal && signal.aborted), errors };
+}
+
+// ETA from bytes when every item's size is known, otherwise from item count.
+function buildProgress({ itemsDone, itemsTotal, itemsFailed, bytesDone, bytesTotal, elapsedMs }) {
+  let fraction = itemsTotal > 0 ? itemsDone / itemsTotal : 1;
+  if (bytesTotal) fraction = Math.min(1, bytesDone / bytesTotal);
+  const etaMs = fraction > 0 && fraction < 1 ? Math.round((elapsedMs / fraction) * (1 - fraction)) : null;
+  const bytesPerSecond = elapsedMs > 0 ? Math.round((bytesDone / elapsedMs) * 1000) : 0;
+  return { itemsDone, itemsTotal, itemsFailed, bytesDone, bytesTotal, fraction, etaMs, bytesPerSecond };
+}
+
+export function formatEta(ms) {
+  if (ms === null || ms === undefined) return '';
+  const seconds = Math.ceil(ms / 1000);
+  if (seconds < 60) return `${seconds}s left`;
+  const minutes = Math.floor(seconds / 60);
+  return `${minutes}m ${seconds % 60}s left`;
+}
+
+/**
+ * One-line summary, e.g. "Uploading 12/40 · 3.1 MB of 9.8 MB · 1m 5s left".
+ */
+export function describeTransferProgress(verb, progress) {
+  const parts = [`${verb} ${progress.itemsDone}/${progress.itemsTotal}`];
+  if (progress.bytesTotal) {
+    parts.push(`${formatBytes(progress.bytesDone)} of ${formatBytes(progress.bytesTotal)}`);
+  } else if (progress.bytesDone > 0) {
+    parts.push(formatBytes(progress.bytesDone));
+  }
+  const eta = formatEta(progress.etaMs);
+  if (eta) parts.push(eta);
+  return parts.join(' · ');
+}
@@ -0,0 +1,49 @@
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import { assignPhotoKeys, normalizePlayerName, playerPhotoKey } from '../helpers/playerIdentity.js';
+
+// Renamed players: `{ [photoKey]: [formerKey, ...] }`, so a new Omnipong spelling
+// still finds the photo saved under the old one.
+const ALIASES_KEY = '@player_aliases_v1';
+
+export async function getPlayerAliases() {
+  const stored = await AsyncStorage.getItem(ALIASES_KEY);
+  if (!stored) return {};
+  try {
+    return JSON.parse(stored) || {};
+  } catch (_) {
+    return {};
+  }
+}
+
+export async function addPlayerAlias(photoKey, formerKey) {
+  if (!photoKey || !formerKey || photoKey === formerKey) return;
+  const aliases = await getPlayerAliases();
+  const existing = aliases[photoKey] || [];
+  if (existing.includes(formerKey)) return;
+  aliases[photoKey] = [...existing, formerKey];
+  await AsyncStorage.setItem(ALIASES_KEY, JSON.stringify(aliases));
+}
+
+/**
+ * Record aliases for renames diffRosters found between two downloads, so the
+ * photo saved under the old name and club follows the new entry.
+ */
+export async function recordRenamedPlayers(renamed) {
+  for (const { from, to } of renamed || []) {
+    await addPlayerAlias(playerPhotoKey(to), playerPhotoKey(from));
+  }
+}
+
+/**
+ * True when only the club changed (same normalized name), which needs no confirmation.
+ */
+export function isClubChange({ from, to }) {
+  return normalizePlayerName(from.name) === normalizePlayerName(to.name);
+}
+
+/**
+ * Players with `photoKey` and `formerKeys` filled in, ready for photoStore and sync.
+ */
+export async function identifyPlayers(players) {
+  return assignPhotoKeys(players, await getPlayerAliases());
+}
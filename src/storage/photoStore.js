@@ -1,9 +1,51 @@
 import * as FileSystem from 'expo-file-system/legacy';
+import * as ImageManipulator from 'expo-image-manipulator';
 import AsyncStorage from '@react-native-async-storage/async-storage';
-import { composeImageFileName } from '../helpers/utils.js';
+import { legacyPhotoKey, normalizePlayerName } from '../helpers/playerIdentity.js';
+import { clearSyncBases } from './syncStateStore.js';
+import { getStorageFolder } from './settingsStore.js';
 
 const PHOTO_DIR = `${FileSystem.documentDirectory}photos/`;
+// Kept outside PHOTO_DIR so listLocalPhotos/sync never see old versions
+const HISTORY_DIR = `${FileSystem.documentDirectory}photo-history/`;
+// Legacy bare array of paths, migrated into UPLOAD_QUEUE_KEY on first read
 const PENDING_UPLOADS_KEY = '@pending_uploads_v1';
+const UPLOAD_QUEUE_KEY = '@upload_queue_v1';
+const PHOTO_POLICY_KEY = '@photo_policy_v1';
+// Quality check results per photo key for the local file: written when a capture is
+// saved and copied from the players table when a download replaces the file
+const PHOTO_QUALITY_KEY = '@photo_quality_v1';
+// Also the cap on remote history/ copies per player
+export const MAX_PHOTO_VERSIONS = 10;
+const MAX_UPLOAD_ATTEMPTS = 8;
+const RETRY_BASE_MS = 30 * 1000;
+const RETRY_MAX_MS = 60 * 60 * 1000;
+// An entry stuck in "uploading" this long was interrupted (app killed) and is due again
+const UPLOAD_STALE_MS = 10 * 60 * 1000;
+const MAX_ERROR_HISTORY = 5;
+const MAX_DONE_UPLOADS = 50;
+
+export const UPLOAD_STATE = {
+  PENDING: 'pending',
+  UPLOADING: 'uploading',
+  FAILED: 'failed',
+  DONE: 'done',
+};
+
+export const PHOTO_FORMATS = {
+  jpeg: { ext: '.jpg', mime: 'image/jpeg', saveFormat: ImageManipulator.SaveFormat.JPEG },
+  png: { ext: '.png', mime: 'image/png', saveFormat: ImageManipulator.SaveFormat.PNG },
+};
+// Every extension a player photo has ever been stored under
+const KNOWN_EXTENSIONS = ['.jpg', '.jpeg', '.png'];
+
+export const DEFAULT_PHOTO_POLICY = {
+  format: 'jpeg',
+  quality: 0.85,
+  maxDimension: 1024,
+};
+
+let cachedPolicy = null;
 
 async function ensureDir() {
   const dirInfo = await FileSystem.getInfoAsync(PHOTO_DIR);
@@ -12,64 +54,520 @@ async function ensureDir() {
   }
 }
 
-export async function savePhoto(playerName, sourceUri) {
+/**
+ * Format, quality (0-1) and longest-edge limit used for every photo we write.
+ */
+export async function getPhotoPolicy() {
+  if (cachedPolicy) return cachedPolicy;
+  let stored = null;
+  try {
+    stored = JSON.parse(await AsyncStorage.getItem(PHOTO_POLICY_KEY));
+  } catch (_) {
+    stored = null;
+  }
+  cachedPolicy = { ...DEFAULT_PHOTO_POLICY, ...(stored || {}) };
+  if (!PHOTO_FORMATS[cachedPolicy.format]) cachedPolicy.format = DEFAULT_PHOTO_POLICY.format;
+  return cachedPolicy;
+}
+
+export async function savePhotoPolicy(policy) {
+  const next = { ...DEFAULT_PHOTO_POLICY, ...policy };
+  if (!PHOTO_FORMATS[next.format]) throw new Error(`Unknown photo format: ${next.format}`);
+  await AsyncStorage.setItem(PHOTO_POLICY_KEY, JSON.stringify(next));
+  cachedPolicy = next;
+  return next;
+}
+
+export function mimeTypeFor(fileName) {
+  const lower = fileName.toLowerCase();
+  return lower.endsWith('.png') ? PHOTO_FORMATS.png.mime : PHOTO_FORMATS.jpeg.mime;
+}
+
+/**
+ * Keys a player's photo may be stored under, current key first. `player` is a
+ * name or a roster entry with `photoKey`/`formerKeys` from assignPhotoKeys; the
+ * latter also covers aliases and the plain key of photos saved before club keys.
+ */
+function photoKeysFor(player) {
+  const name = typeof player === 'string' ? player : player.name;
+  const photoKey = (typeof player === 'string' ? null : player.photoKey) || normalizePlayerName(name);
+  const keys = [photoKey, ...(player.formerKeys || [])];
+  // Pre-normalization files are shared by namesakes, so only the owner of the plain key may claim them
+  if (keys.includes(normalizePlayerName(name))) keys.push(legacyPhotoKey(name));
+  return [...new Set(keys.filter(Boolean))];
+}
+
+/**
+ * Player's photo file name without extension, e.g. "johnsmith".
+ */
+export function photoBaseName(player) {
+  return photoKeysFor(player)[0];
+}
+
+/**
+ * Every file name a player's photo may exist under: current key before former
+ * and legacy keys, preferred extension first within each.
+ */
+export function photoFileNameVariants(player, policy = DEFAULT_PHOTO_POLICY) {
+  const preferred = PHOTO_FORMATS[policy.format].ext;
+  const extensions = [preferred, ...KNOWN_EXTENSIONS.filter((ext) => ext !== preferred)];
+  return photoKeysFor(player).flatMap((key) => extensions.map((ext) => `${key}${ext}`));
+}
+
+/**
+ * Apply manipulator actions (crop, rotate, ...) and encode with the photo policy,
+ * downscaled so the longest edge fits maxDimension. When the actions include a
+ * crop the output size is known up front and this is a single encode.
+ */
+export async function encodePhoto(sourceUri, actions = []) {
+  const policy = await getPhotoPolicy();
+  const saveOptions = { compress: policy.quality, format: PHOTO_FORMATS[policy.format].saveFormat };
+  const knownSize = sizeAfterActions(actions);
+  if (knownSize) {
+    return ImageManipulator.manipulateAsync(sourceUri, [...actions, ...resizeToFit(knownSize, policy)], saveOptions);
+  }
+  // Size unknown until decoded: encode once, and only re-encode the result if it is too large
+  const encoded = await ImageManipulator.manipulateAsync(sourceUri, actions, saveOptions);
+  const resize = resizeToFit(encoded, policy);
+  return resize.length > 0 ? ImageManipulator.manipulateAsync(encoded.uri, resize, saveOptions) : encoded;
+}
+
+// Output `{ width, height }` of the actions, or null when it depends on the source size
+function sizeAfterActions(actions) {
+  let size = null;
+  for (const action of actions) {
+    if (action.crop) {
+      size = { width: action.crop.width, height: action.crop.height };
+    } else if (action.rotate !== undefined) {
+      if (action.rotate % 90 !== 0) return null;
+      if (size && action.rotate % 180 !== 0) size = { width: size.height, height: size.width };
+    } else if (action.resize) {
+      const { width, height } = action.resize;
+      if (width && height) size = { width, height };
+      else if (!size) return null;
+      else size = width ? { width, height: Math.round((size.height * width) / size.width) } : { width: Math.round((size.width * height) / size.height), height };
+    }
+  }
+  return size;
+}
+
+function resizeToFit({ width, height }, policy) {
+  if (!policy.maxDimension || Math.max(width, height) <= policy.maxDimension) return [];
+  return [width >= height ? { resize: { width: policy.maxDimension } } : { resize: { height: policy.maxDimension } }];
+}
+
+/**
+ * Encode and store a player's photo (optionally applying crop/rotate actions),
+ * archive the previous one, and queue it for upload. `quality` (from the quality
+ * check) is stored with the photo; pass null to forget a previous score, or leave
+ * it out to keep it (e.g. when only rotating).
+ */
+export async function savePhoto(player, sourceUri, actions = [], { quality } = {}) {
   await ensureDir();
-  const baseFile = composeImageFileName(playerName).replace('.png', '.jpg');
-  const dest = `${PHOTO_DIR}${baseFile}`;
-  await FileSystem.copyAsync({ from: sourceUri, to: dest });
+  const policy = await getPhotoPolicy();
+  // Encode before archiving: sourceUri may be the current photo or a history version
+  const encoded = await encodePhoto(sourceUri, actions);
+  await archiveCurrentPhoto(player);
+
+  const dest = `${PHOTO_DIR}${photoBaseName(player)}${PHOTO_FORMATS[policy.format].ext}`;
+  await FileSystem.copyAsync({ from: encoded.uri, to: dest });
+  await removeOtherVariants(player, dest);
   await addPendingUpload(dest);
+  if (quality !== undefined) await recordPhotoQuality(photoBaseName(player), quality);
   return dest;
 }
 
-export async function photoExists(playerName) {
-  const baseFile = composeImageFileName(playerName).replace('.png', '.jpg');
-  const targetJpg = `${PHOTO_DIR}${baseFile}`;
-  const targetPng = `${PHOTO_DIR}${composeImageFileName(playerName)}`;
-  
-  // Check .jpg first (captured photos), then .png (downloaded from Drive)
-  let info = await FileSystem.getInfoAsync(targetJpg);
-  if (info.exists) return targetJpg;
-  
-  info = await FileSystem.getInfoAsync(targetPng);
-  if (info.exists) return targetPng;
-  
+async function readPhotoQualities() {
+  try {
+    return JSON.parse(await AsyncStorage.getItem(PHOTO_QUALITY_KEY)) || {};
+  } catch (_) {
+    return {};
+  }
+}
+
+let qualityWrite = Promise.resolve();
+
+/**
+ * Set (or with null, forget) the quality check of the local photo stored under
+ * `key` (photoBaseName). Writes are serialized, as concurrent downloads call this.
+ */
+export function recordPhotoQuality(key, quality) {
+  const run = qualityWrite.then(async () => {
+    const qualities = await readPhotoQualities();
+    if (quality) {
+      qualities[key] = quality;
+    } else {
+      delete qualities[key];
+    }
+    await AsyncStorage.setItem(PHOTO_QUALITY_KEY, JSON.stringify(qualities));
+  });
+  qualityWrite = run.catch(() => {});
+  return run;
+}
+
+/**
+ * Stored quality checks by photo key (photoBaseName): `{ [key]: { score, issues, ... } }`.
+ * Restored photos and downloads whose uploader recorded no check have no entry.
+ */
+export async function getPhotoQualities() {
+  await qualityWrite;
+  return readPhotoQualities();
+}
+
+export async function photoExists(player) {
+  const policy = await getPhotoPolicy();
+  for (const fileName of photoFileNameVariants(player, policy)) {
+    const target = `${PHOTO_DIR}${fileName}`;
+    const info = await FileSystem.getInfoAsync(target);
+    if (info.exists) return target;
+  }
   return null;
 }
 
+// After a save only one file per player should remain, or photoExists could pick a stale one.
+// This also moves photos off former and legacy keys.
+async function removeOtherVariants(player, keepPath) {
+  for (const fileName of photoFileNameVariants(player)) {
+    const target = `${PHOTO_DIR}${fileName}`;
+    if (target === keepPath) continue;
+    await FileSystem.deleteAsync(target, { idempotent: true });
+    await dropUpload(target);
+  }
+}
+
 export async function listLocalPhotos() {
   await ensureDir();
   const files = await FileSystem.readDirectoryAsync(PHOTO_DIR);
   return files.map((f) => `${PHOTO_DIR}${f}`);
 }
 
-async function addPendingUpload(filePath) {
-  const pending = await getPendingUploads();
-  if (!pending.includes(filePath)) {
-    pending.push(filePath);
-    await AsyncStorage.setItem(PENDING_UPLOADS_KEY, JSON.stringify(pending));
+/**
+ * How many of the given players (names or roster entries) have a local photo.
+ * Reads the photo directory once instead of stat-ing one file per player.
+ */
+export async function countPlayersWithPhotos(players) {
+  const files = new Set((await listLocalPhotos()).map((p) => p.slice(PHOTO_DIR.length).toLowerCase()));
+  return players.filter((player) => photoFileNameVariants(player).some((f) => files.has(f))).length;
+}
+
+function historyDirFor(baseName) {
+  return `${HISTORY_DIR}${baseName}/`;
+}
+
+// Copy the player's current photo into their history folder before it gets overwritten.
+async function archiveCurrentPhoto(player) {
+  const current = await photoExists(player);
+  if (!current) return null;
+  return archiveFile(current, photoBaseName(player));
+}
+
+/**
+ * Archive a local photo file into its player's history before something else
+ * (e.g. a downloaded remote version) replaces it.
+ */
+export async function archiveLocalPhoto(filePath) {
+  const fileName = filePath.slice(filePath.lastIndexOf('/') + 1);
+  const dot = fileName.lastIndexOf('.');
+  return archiveFile(filePath, dot === -1 ? fileName : fileName.slice(0, dot));
+}
+
+async function archiveFile(current, baseName) {
+  const dir = historyDirFor(baseName);
+  const dirInfo = await FileSystem.getInfoAsync(dir);
+  if (!dirInfo.exists) {
+    await FileSystem.makeDirectoryAsync(dir, { intermediates: true });
   }
+  const ext = current.slice(current.lastIndexOf('.'));
+  const dest = `${dir}${Date.now()}${ext}`;
+  await FileSystem.copyAsync({ from: current, to: dest });
+
+  const stale = (await listVersionsIn(dir)).slice(MAX_PHOTO_VERSIONS);
+  await Promise.all(stale.map((v) => FileSystem.deleteAsync(v.uri, { idempotent: true })));
+  return dest;
 }
 
-export async function getPendingUploads() {
-  const stored = await AsyncStorage.getItem(PENDING_UPLOADS_KEY);
-  if (!stored) return [];
+/**
+ * Earlier photos of a player, newest first: `[{ uri, savedAt }]`. Includes
+ * history kept under the player's former and legacy keys.
+ */
+export async function listPhotoVersions(player) {
+  const versions = [];
+  for (const key of photoKeysFor(player)) {
+    versions.push(...(await listVersionsIn(historyDirFor(key))));
+  }
+  return versions.sort((a, b) => b.savedAt - a.savedAt);
+}
+
+async function listVersionsIn(dir) {
+  const dirInfo = await FileSystem.getInfoAsync(dir);
+  if (!dirInfo.exists) return [];
+
+  const files = await FileSystem.readDirectoryAsync(dir);
+  return files
+    .map((f) => ({ uri: `${dir}${f}`, savedAt: parseInt(f, 10) }))
+    .filter((v) => !Number.isNaN(v.savedAt))
+    .sort((a, b) => b.savedAt - a.savedAt);
+}
+
+/**
+ * Make an earlier version the current photo again. The photo being replaced is
+ * archived like any other overwrite, and the restored file is queued for upload.
+ */
+export async function restorePhotoVersion(player, versionUri) {
+  return savePhoto(player, versionUri, [], { quality: null });
+}
+
+let queueWrite = Promise.resolve();
+
+// Serialize read-modify-write cycles so concurrent uploads don't overwrite each other's updates.
+function updateUploadQueue(mutate) {
+  const run = queueWrite.then(async () => {
+    const next = await mutate(await readUploadQueue());
+    await AsyncStorage.setItem(UPLOAD_QUEUE_KEY, JSON.stringify(next));
+    return next;
+  });
+  queueWrite = run.catch(() => {});
+  return run;
+}
+
+async function readUploadQueue() {
+  const stored = await AsyncStorage.getItem(UPLOAD_QUEUE_KEY);
+  if (stored) {
+    try {
+      return JSON.parse(stored);
+    } catch (_) {
+      return [];
+    }
+  }
+
+  let legacy = [];
   try {
-    return JSON.parse(stored);
+    legacy = JSON.parse(await AsyncStorage.getItem(PENDING_UPLOADS_KEY)) || [];
   } catch (_) {
-    return [];
+    legacy = [];
   }
+  const migrated = legacy.map((path) => newQueueEntry(path, null));
+  await AsyncStorage.setItem(UPLOAD_QUEUE_KEY, JSON.stringify(migrated));
+  await AsyncStorage.removeItem(PENDING_UPLOADS_KEY);
+  return migrated;
 }
 
-export async function markUploaded(filePath) {
-  const pending = await getPendingUploads();
-  const next = pending.filter((p) => p !== filePath);
-  await AsyncStorage.setItem(PENDING_UPLOADS_KEY, JSON.stringify(next));
+function newQueueEntry(path, bytes, folder = null) {
+  const now = Date.now();
+  return {
+    path,
+    fileName: path.split('/').pop(),
+    // Bucket folder chosen when the photo was saved; null = decide at upload time
+    folder,
+    state: UPLOAD_STATE.PENDING,
+    attempts: 0,
+    lastError: null,
+    errors: [],
+    nextRetryAt: null,
+    bytes,
+    queuedAt: now,
+    updatedAt: now,
+  };
+}
+
+// `queuedAt` identifies one queueing of the file: if the photo was re-saved
+// while uploading, results for the old attempt must not touch the new entry.
+function updateEntry(filePath, changes, queuedAt = null) {
+  return updateUploadQueue((queue) =>
+    queue.map((entry) =>
+      entry.path === filePath && (queuedAt === null || entry.queuedAt === queuedAt)
+        ? { ...entry, ...changes(entry), updatedAt: Date.now() }
+        : entry
+    )
+  );
+}
+
+function isDue(entry, now) {
+  switch (entry.state) {
+    case UPLOAD_STATE.PENDING:
+      return true;
+    case UPLOAD_STATE.FAILED:
+      return entry.nextRetryAt !== null && entry.nextRetryAt <= now;
+    case UPLOAD_STATE.UPLOADING:
+      return now - entry.updatedAt > UPLOAD_STALE_MS;
+    default:
+      return false;
+  }
+}
+
+async function addPendingUpload(filePath) {
+  let bytes = null;
+  try {
+    const info = await FileSystem.getInfoAsync(filePath);
+    bytes = info.exists ? info.size : null;
+  } catch (_) {
+    bytes = null;
+  }
+  let folder = null;
+  try {
+    folder = await getStorageFolder();
+  } catch (_) {
+    folder = null;
+  }
+  // A re-saved photo starts over, whatever happened to the previous file at this path
+  return updateUploadQueue((queue) => [newQueueEntry(filePath, bytes, folder), ...queue.filter((e) => e.path !== filePath)]);
+}
+
+/**
+ * Every queue entry, newest first:
+ * `{ path, fileName, folder, state, attempts, lastError, errors, nextRetryAt, bytes, queuedAt, updatedAt }`.
+ */
+export async function getUploadQueue() {
+  await queueWrite;
+  return readUploadQueue();
+}
+
+/**
+ * Paths that should be uploaded now: pending entries, failed ones whose retry
+ * time has come, and uploads that were interrupted.
+ */
+export async function getPendingUploads() {
+  const now = Date.now();
+  return (await getUploadQueue()).filter((entry) => isDue(entry, now)).map((entry) => entry.path);
+}
+
+/**
+ * Flag an entry as in flight. Returns its `queuedAt` token for markUploaded/markUploadFailed.
+ */
+export async function markUploading(filePath) {
+  const queue = await updateEntry(filePath, (entry) => ({ state: UPLOAD_STATE.UPLOADING, attempts: entry.attempts + 1 }));
+  const entry = queue.find((e) => e.path === filePath);
+  return entry ? entry.queuedAt : null;
+}
+
+export async function markUploaded(filePath, queuedAt = null) {
+  await updateUploadQueue((queue) => {
+    const next = queue.map((entry) =>
+      entry.path === filePath && (queuedAt === null || entry.queuedAt === queuedAt)
+        ? { ...entry, state: UPLOAD_STATE.DONE, lastError: null, nextRetryAt: null, updatedAt: Date.now() }
+        : entry
+    );
+    const done = next.filter((e) => e.state === UPLOAD_STATE.DONE);
+    const stale = new Set(done.sort((a, b) => b.updatedAt - a.updatedAt).slice(MAX_DONE_UPLOADS));
+    return next.filter((e) => !stale.has(e));
+  });
+}
+
+/**
+ * Record a failed attempt. Retries back off exponentially; after
+ * MAX_UPLOAD_ATTEMPTS the entry waits for a manual retry.
+ */
+export async function markUploadFailed(filePath, message, queuedAt = null) {
+  await updateEntry(filePath, (entry) => {
+    const attempts = entry.state === UPLOAD_STATE.UPLOADING ? entry.attempts : entry.attempts + 1;
+    const now = Date.now();
+    return {
+      state: UPLOAD_STATE.FAILED,
+      attempts,
+      lastError: message,
+      errors: [{ at: now, message }, ...(entry.errors || [])].slice(0, MAX_ERROR_HISTORY),
+      nextRetryAt: attempts >= MAX_UPLOAD_ATTEMPTS ? null : now + Math.min(RETRY_BASE_MS * 2 ** (attempts - 1), RETRY_MAX_MS),
+    };
+  }, queuedAt);
+}
+
+/**
+ * Put an interrupted upload back to pending without counting the attempt.
+ */
+export async function markUploadCancelled(filePath, queuedAt = null) {
+  await updateEntry(filePath, (entry) => ({ state: UPLOAD_STATE.PENDING, attempts: Math.max(0, entry.attempts - 1) }), queuedAt);
+}
+
+/**
+ * Make a failed (or given-up) entry due immediately.
+ */
+export async function retryUpload(filePath) {
+  await updateEntry(filePath, () => ({ state: UPLOAD_STATE.PENDING, attempts: 0, nextRetryAt: null }));
+}
+
+/**
+ * Remove an entry without uploading it. The local photo is kept.
+ */
+export async function dropUpload(filePath) {
+  await updateUploadQueue((queue) => queue.filter((entry) => entry.path !== filePath));
+}
+
+export async function clearCompletedUploads() {
+  await updateUploadQueue((queue) => queue.filter((entry) => entry.state !== UPLOAD_STATE.DONE));
 }
 
 export async function clearLocalPhotos() {
-  // Remove photo dir and pending uploads list
+  // Remove photo dir, version history, upload queue and sync state
   await FileSystem.deleteAsync(PHOTO_DIR, { idempotent: true });
-  await AsyncStorage.removeItem(PENDING_UPLOADS_KEY);
+  await FileSystem.deleteAsync(HISTORY_DIR, { idempotent: true });
+  await updateUploadQueue(() => []);
+  await clearSyncBases();
+  await AsyncStorage.removeItem(PHOTO_QUALITY_KEY);
   // Recreate directory for future saves
   await ensureDir();
 }
+
+/**
+ * Actual encoding of a file from its magic bytes ('jpeg' | 'png' | null),
+ * regardless of what its extension claims.
+ */
+export async function detectImageFormat(filePath) {
+  try {
+    const head = await FileSystem.readAsStringAsync(filePath, {
+      encoding: FileSystem.EncodingType.Base64,
+      position: 0,
+      length: 12,
+    });
+    if (head.startsWith('iVBORw0KGgo')) return 'png';
+    if (head.startsWith('/9j/')) return 'jpeg';
+  } catch (err) {
+    console.warn('Could not read image header for', filePath, err.message);
+  }
+  return null;
+}
+
+/**
+ * Re-encode local photos whose extension or real encoding does not match the
+ * photo policy (e.g. PNG data saved under .jpg). Rewritten files are queued for upload;
+ * a different photo they would replace is kept in history.
+ * @returns {Promise<{converted: number, failed: number, renamed: Array<{from: string, to: string}>}>}
+ */
+export async function normalizeLocalPhotos(onProgress) {
+  const policy = await getPhotoPolicy();
+  const { ext } = PHOTO_FORMATS[policy.format];
+  const files = await listLocalPhotos();
+  let converted = 0;
+  let failed = 0;
+  const renamed = [];
+
+  for (let i = 0; i < files.length; i += 1) {
+    const path = files[i];
+    const fileName = path.slice(PHOTO_DIR.length);
+    const dot = fileName.lastIndexOf('.');
+    if (dot === -1 || !KNOWN_EXTENSIONS.includes(fileName.slice(dot).toLowerCase())) continue;
+
+    const actual = await detectImageFormat(path);
+    if (fileName.slice(dot).toLowerCase() === ext && actual === policy.format) continue;
+
+    try {
+      if (onProgress) onProgress(`Normalizing ${i + 1}/${files.length}`);
+      const encoded = await encodePhoto(path);
+      const dest = `${PHOTO_DIR}${fileName.slice(0, dot)}${ext}`;
+      // A photo already under the target name (e.g. both .png and .jpg exist) goes to history first
+      if (dest !== path && (await FileSystem.getInfoAsync(dest)).exists) await archiveLocalPhoto(dest);
+      await FileSystem.copyAsync({ from: encoded.uri, to: dest });
+      if (dest !== path) {
+        await FileSystem.deleteAsync(path, { idempotent: true });
+        await dropUpload(path);
+        renamed.push({ from: fileName, to: dest.slice(PHOTO_DIR.length) });
+      }
+      await addPendingUpload(dest);
+      converted += 1;
+    } catch (err) {
+      console.warn('Normalize failed for', fileName, err.message);
+      failed += 1;
+    }
+  }
+
+  return { converted, failed, renamed };
+}
@@ -0,0 +1,77 @@
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import { diffRosters } from '../helpers/rosterDiff.js';
+import { isClubChange, recordRenamedPlayers } from './aliasStore.js';
+
+const ROSTER_KEY_PREFIX = '@roster_v1:';
+const DOWNLOAD_KEY_PREFIX = '@roster_download_v1:';
+const LAST_ROSTER_KEY = '@roster_last_v1';
+
+function tournamentKey(tournament) {
+  return `${tournament.clubId}_${tournament.tournamentId}`;
+}
+
+function rosterKey(tournament) {
+  return `${ROSTER_KEY_PREFIX}${tournamentKey(tournament)}`;
+}
+
+function downloadKey(tournament) {
+  return `${DOWNLOAD_KEY_PREFIX}${tournamentKey(tournament)}`;
+}
+
+async function readJson(key) {
+  const stored = await AsyncStorage.getItem(key);
+  if (!stored) return null;
+  try {
+    return JSON.parse(stored);
+  } catch (_) {
+    return null;
+  }
+}
+
+/**
+ * Cached roster for a tournament: `{ tournament, players, fetchedAt }` or null.
+ */
+export async function getCachedRoster(tournament) {
+  if (!tournament) return null;
+  return readJson(rosterKey(tournament));
+}
+
+export async function saveRoster(tournament, players) {
+  const entry = { tournament, players, fetchedAt: Date.now() };
+  await AsyncStorage.multiSet([
+    [rosterKey(tournament), JSON.stringify(entry)],
+    [LAST_ROSTER_KEY, JSON.stringify(tournament)],
+  ]);
+  return entry;
+}
+
+// Tournament whose roster was saved most recently; used when nothing is selected and we are offline.
+export async function getLastRosterTournament() {
+  return readJson(LAST_ROSTER_KEY);
+}
+
+/**
+ * Snapshot of the last explicit "Download Players": `{ players, downloadedAt, diff }` or null.
+ * Background refreshes only update the cached roster, so this stays the baseline for diffs.
+ */
+export async function getLastDownload(tournament) {
+  if (!tournament) return null;
+  return readJson(downloadKey(tournament));
+}
+
+/**
+ * Save a freshly downloaded roster and diff it against the previous download
+ * (or the cached roster if this tournament was never downloaded explicitly).
+ * `diff` is null on the very first download, when there is nothing to compare.
+ * Players who only changed clubs get an alias right away so their photo follows;
+ * other renames wait for the user to confirm them (recordRenamedPlayers).
+ */
+export async function recordRosterDownload(tournament, players) {
+  const previous = (await getLastDownload(tournament)) || (await getCachedRoster(tournament));
+  const diff = previous ? diffRosters(previous.players, players) : null;
+  if (diff) await recordRenamedPlayers(diff.renamed.filter(isClubChange));
+  const snapshot = { players, downloadedAt: Date.now(), diff };
+  await AsyncStorage.setItem(downloadKey(tournament), JSON.stringify(snapshot));
+  await saveRoster(tournament, players);
+  return snapshot;
+}
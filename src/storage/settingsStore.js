@@ -0,0 +1,167 @@
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import { DEFAULT_TOURNAMENT_SEARCH } from '../services/omnipongService.js';
+
+const TOURNAMENT_SEARCH_KEY = '@tournament_search_v1';
+const SELECTED_TOURNAMENT_KEY = '@selected_tournament';
+const SAVED_TOURNAMENTS_KEY = '@saved_tournaments_v1';
+const SYNC_SETTINGS_KEY = '@sync_settings_v1';
+const STORAGE_LAYOUT_KEY = '@storage_layout_v1';
+const MAX_RECENT_TOURNAMENTS = 8;
+
+export const SYNC_INTERVAL_OPTIONS_MIN = [1, 5, 15, 30, 60];
+export const TRANSFER_CONCURRENCY_OPTIONS = [1, 2, 4, 8];
+
+export const DEFAULT_SYNC_SETTINGS = {
+  wifiOnly: false,
+  paused: false,
+  intervalMinutes: 5,
+  // Parallel uploads/downloads for bulk sync
+  transferConcurrency: 4,
+};
+
+const syncSettingsListeners = new Set();
+
+// How photos are arranged in the bucket, so several clubs can share one Supabase project
+export const STORAGE_LAYOUTS = {
+  FLAT: 'flat',
+  CLUB: 'club',
+  TOURNAMENT: 'tournament',
+};
+
+async function readJson(key) {
+  const stored = await AsyncStorage.getItem(key);
+  if (!stored) return null;
+  try {
+    return JSON.parse(stored);
+  } catch (_) {
+    return null;
+  }
+}
+
+/**
+ * Saved Omnipong search options, merged over the defaults so new fields get sane values.
+ */
+export async function getTournamentSearch() {
+  const stored = await readJson(TOURNAMENT_SEARCH_KEY);
+  return { ...DEFAULT_TOURNAMENT_SEARCH, ...(stored || {}) };
+}
+
+export async function saveTournamentSearch(search) {
+  const next = { ...DEFAULT_TOURNAMENT_SEARCH, ...search };
+  await AsyncStorage.setItem(TOURNAMENT_SEARCH_KEY, JSON.stringify(next));
+  return next;
+}
+
+function isSameTournament(a, b) {
+  return !!a && !!b && a.clubId === b.clubId && a.tournamentId === b.tournamentId;
+}
+
+export async function getSelectedTournament() {
+  return readJson(SELECTED_TOURNAMENT_KEY);
+}
+
+/**
+ * Make a tournament the active one and bump it to the top of the recent list.
+ */
+export async function selectTournament(tournament) {
+  const saved = await getSavedTournaments();
+  const existing = saved.find((t) => isSameTournament(t, tournament));
+  const entry = { ...tournament, favorite: existing?.favorite || false, lastUsedAt: Date.now() };
+  await AsyncStorage.setItem(SELECTED_TOURNAMENT_KEY, JSON.stringify(tournament));
+  await writeSavedTournaments([entry, ...saved.filter((t) => !isSameTournament(t, tournament))]);
+  return entry;
+}
+
+/**
+ * Favorite and recently used tournaments, favorites first, then most recent.
+ */
+export async function getSavedTournaments() {
+  const stored = await readJson(SAVED_TOURNAMENTS_KEY);
+  if (!Array.isArray(stored)) return [];
+  return sortSavedTournaments(stored);
+}
+
+export async function setTournamentFavorite(tournament, favorite) {
+  const saved = await getSavedTournaments();
+  const existing = saved.find((t) => isSameTournament(t, tournament));
+  const entry = { ...(existing || tournament), favorite, lastUsedAt: existing?.lastUsedAt || Date.now() };
+  return writeSavedTournaments([entry, ...saved.filter((t) => !isSameTournament(t, tournament))]);
+}
+
+export async function removeSavedTournament(tournament) {
+  const saved = await getSavedTournaments();
+  return writeSavedTournaments(saved.filter((t) => !isSameTournament(t, tournament)));
+}
+
+function sortSavedTournaments(list) {
+  return [...list].sort((a, b) => {
+    if (a.favorite !== b.favorite) return a.favorite ? -1 : 1;
+    return (b.lastUsedAt || 0) - (a.lastUsedAt || 0);
+  });
+}
+
+// Favorites are kept forever; only the non-favorite tail is trimmed.
+async function writeSavedTournaments(list) {
+  const sorted = sortSavedTournaments(list);
+  const favorites = sorted.filter((t) => t.favorite);
+  const recents = sorted.filter((t) => !t.favorite).slice(0, MAX_RECENT_TOURNAMENTS);
+  const next = [...favorites, ...recents];
+  await AsyncStorage.setItem(SAVED_TOURNAMENTS_KEY, JSON.stringify(next));
+  return next;
+}
+
+/**
+ * Automatic upload preferences, merged over the defaults.
+ */
+export async function getSyncSettings() {
+  const stored = await readJson(SYNC_SETTINGS_KEY);
+  return { ...DEFAULT_SYNC_SETTINGS, ...(stored || {}) };
+}
+
+export async function saveSyncSettings(changes) {
+  const next = { ...(await getSyncSettings()), ...changes };
+  await AsyncStorage.setItem(SYNC_SETTINGS_KEY, JSON.stringify(next));
+  syncSettingsListeners.forEach((listener) => listener(next));
+  return next;
+}
+
+/**
+ * Get called with the new settings whenever they are saved. Returns an unsubscribe function.
+ */
+export function subscribeSyncSettings(listener) {
+  syncSettingsListeners.add(listener);
+  return () => syncSettingsListeners.delete(listener);
+}
+
+export async function getStorageLayout() {
+  const stored = await AsyncStorage.getItem(STORAGE_LAYOUT_KEY);
+  return Object.values(STORAGE_LAYOUTS).includes(stored) ? stored : STORAGE_LAYOUTS.FLAT;
+}
+
+export async function saveStorageLayout(layout) {
+  if (!Object.values(STORAGE_LAYOUTS).includes(layout)) throw new Error(`Unknown storage layout: ${layout}`);
+  await AsyncStorage.setItem(STORAGE_LAYOUT_KEY, layout);
+  return layout;
+}
+
+/**
+ * False when the layout uses per-club or per-tournament folders and no tournament
+ * is selected, i.e. when getStorageFolder() would throw.
+ */
+export async function hasStorageFolder() {
+  if ((await getStorageLayout()) === STORAGE_LAYOUTS.FLAT) return true;
+  return !!(await getSelectedTournament());
+}
+
+/**
+ * Bucket folder for a tournament's photos under the current layout: '' (flat),
+ * 'club/<clubId>' or 'tournament/<tournamentId>'. Defaults to the selected tournament.
+ */
+export async function getStorageFolder(tournament) {
+  const layout = await getStorageLayout();
+  if (layout === STORAGE_LAYOUTS.FLAT) return '';
+
+  const target = tournament || (await getSelectedTournament());
+  if (!target) throw new Error('Select a tournament first: photos are stored in per-club or per-tournament folders.');
+  return layout === STORAGE_LAYOUTS.CLUB ? `club/${target.clubId}` : `tournament/${target.tournamentId}`;
+}
@@ -0,0 +1,43 @@
+import AsyncStorage from '@react-native-async-storage/async-storage';
+
+// Per remote object: the content hash both sides had the last time they were in sync.
+const SYNC_STATE_KEY = '@photo_sync_state_v1';
+
+async function readState() {
+  const stored = await AsyncStorage.getItem(SYNC_STATE_KEY);
+  if (!stored) return {};
+  try {
+    return JSON.parse(stored) || {};
+  } catch (_) {
+    return {};
+  }
+}
+
+let stateWrite = Promise.resolve();
+
+// Serialize read-modify-write cycles so transfers finishing together don't drop each other's bases.
+function updateSyncState(mutate) {
+  const run = stateWrite.then(async () => {
+    const next = await mutate(await readState());
+    await AsyncStorage.setItem(SYNC_STATE_KEY, JSON.stringify(next));
+    return next;
+  });
+  stateWrite = run.catch(() => {});
+  return run;
+}
+
+/**
+ * Last synced state per object key: `{ [key]: { md5, syncedAt } }`.
+ */
+export async function getSyncBases() {
+  await stateWrite;
+  return readState();
+}
+
+export async function recordSyncBase(key, md5) {
+  await updateSyncState((state) => ({ ...state, [key]: { md5, syncedAt: Date.now() } }));
+}
+
+export async function clearSyncBases() {
+  await updateSyncState(() => ({}));
+}